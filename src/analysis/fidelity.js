@@ -0,0 +1,248 @@
+import sharp from "sharp";
+import { GARMENT_REGIONS, extractRegion } from "./similarity.js";
+
+/**
+ * Design-fidelity analysis: compares the garment region of the final output
+ * with the uploaded reference and reports
+ *
+ *   palette     dominant colours of each and their distance (mean CIE76 ΔE)
+ *   hueShift    circular mean hue difference in degrees (output - reference)
+ *   saturationShift  mean HSV saturation difference (output - reference)
+ *   hashes      perceptual-hash similarity of the whole garment region and
+ *               its upper / lower halves (drape vs border / pallu)
+ *   score       0-1 summary of colour and structure fidelity
+ *
+ * The palette distance is the "colour drift" the optional threshold checks.
+ */
+
+const SAMPLE_SIZE = 64;
+const PALETTE_BINS = 8; // per channel
+const PALETTE_SIZE = 5;
+const HASH_SIZE = 32;
+const HASH_LOW_FREQUENCIES = 8;
+// ΔE at which colour fidelity counts as zero in `score`
+const MAX_MEANINGFUL_DRIFT = 50;
+// Below this mean saturation the hue is meaningless (greys, whites)
+const MIN_SATURATION_FOR_HUE = 0.1;
+
+const HASH_REGIONS = {
+  garment: { left: 0, top: 0, width: 1, height: 1 },
+  upper: { left: 0, top: 0, width: 1, height: 0.5 },
+  lower: { left: 0, top: 0.5, width: 1, height: 0.5 },
+};
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/* ---------------------------- Colour ---------------------------- */
+const toLinear = (c) => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+const toLab = ([r, g, b]) => {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+};
+
+const deltaE = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+const toHex = (rgb) => `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+const dominantPalette = (pixels) => {
+  const bins = new Map();
+  for (let i = 0; i < pixels.length; i += 3) {
+    const key =
+      (Math.floor((pixels[i] * PALETTE_BINS) / 256) * PALETTE_BINS +
+        Math.floor((pixels[i + 1] * PALETTE_BINS) / 256)) *
+        PALETTE_BINS +
+      Math.floor((pixels[i + 2] * PALETTE_BINS) / 256);
+    const bin = bins.get(key) || { count: 0, sum: [0, 0, 0] };
+    bin.count++;
+    bin.sum[0] += pixels[i];
+    bin.sum[1] += pixels[i + 1];
+    bin.sum[2] += pixels[i + 2];
+    bins.set(key, bin);
+  }
+
+  const total = pixels.length / 3;
+  return [...bins.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, PALETTE_SIZE)
+    .map((bin) => {
+      const rgb = bin.sum.map((sum) => Math.round(sum / bin.count));
+      return { hex: toHex(rgb), weight: round(bin.count / total, 3), lab: toLab(rgb) };
+    });
+};
+
+// Weighted mean distance from each colour of `from` to its nearest colour in `to`
+const directedDistance = (from, to) => {
+  const weight = from.reduce((sum, colour) => sum + colour.weight, 0) || 1;
+  return (
+    from.reduce(
+      (sum, colour) => sum + colour.weight * Math.min(...to.map((other) => deltaE(colour.lab, other.lab))),
+      0,
+    ) / weight
+  );
+};
+
+const paletteDistance = (a, b) => (directedDistance(a, b) + directedDistance(b, a)) / 2;
+
+const hueAndSaturation = (pixels) => {
+  let saturation = 0;
+  let hueX = 0;
+  let hueY = 0;
+  for (let i = 0; i < pixels.length; i += 3) {
+    const r = pixels[i] / 255;
+    const g = pixels[i + 1] / 255;
+    const b = pixels[i + 2] / 255;
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    const s = max ? delta / max : 0;
+    saturation += s;
+    if (!delta) continue;
+
+    let hue;
+    if (max === r) hue = ((g - b) / delta) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+    const radians = (hue * Math.PI) / 3;
+    // Saturated pixels dominate the hue average
+    hueX += Math.cos(radians) * s;
+    hueY += Math.sin(radians) * s;
+  }
+  const count = pixels.length / 3;
+  return {
+    saturation: saturation / count,
+    hue: (((Math.atan2(hueY, hueX) * 180) / Math.PI) + 360) % 360,
+  };
+};
+
+/* ------------------------- Perceptual hash ------------------------- */
+// DCT-based pHash: low-frequency coefficients compared against their median
+const perceptualHash = (gray) => {
+  const n = HASH_SIZE;
+  const cos = Array.from({ length: n }, (_, k) =>
+    Array.from({ length: n }, (_, x) => Math.cos(((2 * x + 1) * k * Math.PI) / (2 * n))),
+  );
+
+  const rows = Array.from({ length: n }, (_, y) =>
+    Array.from({ length: HASH_LOW_FREQUENCIES }, (_, k) => {
+      let sum = 0;
+      for (let x = 0; x < n; x++) sum += gray[y * n + x] * cos[k][x];
+      return sum;
+    }),
+  );
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_LOW_FREQUENCIES; v++) {
+    for (let u = 0; u < HASH_LOW_FREQUENCIES; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) sum += rows[y][u] * cos[v][y];
+      coefficients.push(sum);
+    }
+  }
+
+  // Skip the DC term, which only encodes overall brightness
+  const ac = coefficients.slice(1);
+  const median = [...ac].sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+  return ac.map((value) => (value > median ? 1 : 0));
+};
+
+const bitsToHex = (bits) => {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4).join("").padEnd(4, "0"), 2).toString(16);
+  }
+  return hex;
+};
+
+/* ---------------------------- Features ---------------------------- */
+const analyzeImage = async (buffer, region) => {
+  const { data, info } = await (await extractRegion(buffer, region))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const image = () =>
+    sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+  const pixels = await image()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  const hashes = {};
+  for (const [name, part] of Object.entries(HASH_REGIONS)) {
+    const left = Math.round(info.width * part.left);
+    const top = Math.round(info.height * part.top);
+    const gray = await image()
+      .extract({
+        left,
+        top,
+        width: Math.max(1, Math.round(info.width * part.width)),
+        height: Math.max(1, Math.min(Math.round(info.height * part.height), info.height - top)),
+      })
+      .resize(HASH_SIZE, HASH_SIZE, { fit: "fill" })
+      .greyscale()
+      .raw()
+      .toBuffer();
+    hashes[name] = perceptualHash(gray);
+  }
+
+  return { palette: dominantPalette(pixels), ...hueAndSaturation(pixels), hashes };
+};
+
+/**
+ * analyzeFidelity - fidelity report for `outputBuffer` (any sharp-readable
+ * image) against the reference upload. `maxDrift` (ΔE) is optional; when
+ * given, `passed` says whether the palette distance stayed within it.
+ */
+export const analyzeFidelity = async (referenceBuffer, outputBuffer, { maxDrift = null } = {}) => {
+  const startedAt = Date.now();
+  const reference = await analyzeImage(referenceBuffer, GARMENT_REGIONS.reference);
+  const output = await analyzeImage(outputBuffer, GARMENT_REGIONS.generated);
+
+  const drift = paletteDistance(reference.palette, output.palette);
+  const hueComparable =
+    reference.saturation >= MIN_SATURATION_FOR_HUE && output.saturation >= MIN_SATURATION_FOR_HUE;
+  const hueShift = hueComparable
+    ? ((output.hue - reference.hue + 540) % 360) - 180
+    : null;
+
+  const hashes = Object.keys(HASH_REGIONS).map((region) => {
+    const a = reference.hashes[region];
+    const b = output.hashes[region];
+    const distance = a.reduce((sum, bit, i) => sum + (bit !== b[i] ? 1 : 0), 0);
+    return {
+      region,
+      reference: bitsToHex(a),
+      output: bitsToHex(b),
+      distance,
+      similarity: round(1 - distance / a.length, 3),
+    };
+  });
+
+  const colourFidelity = Math.max(0, 1 - drift / MAX_MEANINGFUL_DRIFT);
+  const structureFidelity = hashes.reduce((sum, hash) => sum + hash.similarity, 0) / hashes.length;
+  const stripLab = ({ hex, weight }) => ({ hex, weight });
+
+  return {
+    score: round(0.7 * colourFidelity + 0.3 * structureFidelity, 3),
+    colorDrift: round(drift),
+    maxDrift,
+    passed: maxDrift === null ? null : drift <= maxDrift,
+    palette: {
+      reference: reference.palette.map(stripLab),
+      output: output.palette.map(stripLab),
+    },
+    hueShift: hueShift === null ? null : round(hueShift, 1),
+    saturationShift: round(output.saturation - reference.saturation, 3),
+    hashes,
+    durationMs: Date.now() - startedAt,
+  };
+};
@@ -0,0 +1,152 @@
+import sharp from "sharp";
+
+/**
+ * Local image similarity used to rank generation candidates against the
+ * uploaded reference. Two cheap signals are compared on the garment region:
+ *
+ *   colour   - 3D RGB histogram intersection (palette match)
+ *   pattern  - gradient-orientation histogram intersection scaled by how
+ *              close the edge densities are (motif / border texture match)
+ *
+ * Both are in [0, 1]; `score` is their weighted sum.
+ */
+
+const HISTOGRAM_BINS = 6; // per channel → 216 colour bins
+const COLOR_SAMPLE_SIZE = 96;
+const PATTERN_SAMPLE_SIZE = 128;
+const ORIENTATION_BINS = 8;
+const COLOR_WEIGHT = 0.6;
+
+/**
+ * Regions (fractions of the image) the garment is expected to occupy. The
+ * reference is a product shot, so most of it is garment; generated images
+ * are full-body catalog frames with the drape in the centre.
+ */
+export const GARMENT_REGIONS = {
+  reference: { left: 0.1, top: 0.1, width: 0.8, height: 0.8 },
+  generated: { left: 0.25, top: 0.3, width: 0.5, height: 0.65 },
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Decodes `buffer` (EXIF-oriented, alpha dropped) and returns a sharp
+ * pipeline for the given fractional region.
+ */
+export const extractRegion = async (buffer, region) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const left = Math.min(Math.round(info.width * region.left), info.width - 1);
+  const top = Math.min(Math.round(info.height * region.top), info.height - 1);
+  const box = {
+    left,
+    top,
+    width: Math.max(1, Math.min(Math.round(info.width * region.width), info.width - left)),
+    height: Math.max(1, Math.min(Math.round(info.height * region.height), info.height - top)),
+  };
+
+  return sharp(data, {
+    raw: { width: info.width, height: info.height, channels: info.channels },
+  }).extract(box);
+};
+
+const colorHistogram = (pixels) => {
+  const histogram = new Float64Array(HISTOGRAM_BINS ** 3);
+  const count = pixels.length / 3;
+  for (let i = 0; i < pixels.length; i += 3) {
+    const r = Math.floor((pixels[i] * HISTOGRAM_BINS) / 256);
+    const g = Math.floor((pixels[i + 1] * HISTOGRAM_BINS) / 256);
+    const b = Math.floor((pixels[i + 2] * HISTOGRAM_BINS) / 256);
+    histogram[(r * HISTOGRAM_BINS + g) * HISTOGRAM_BINS + b] += 1 / count;
+  }
+  return histogram;
+};
+
+const orientationFeatures = (gray, size) => {
+  const histogram = new Float64Array(ORIENTATION_BINS);
+  let total = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const gx = gray[i + 1] - gray[i - 1];
+      const gy = gray[i + size] - gray[i - size];
+      const magnitude = Math.hypot(gx, gy);
+      if (!magnitude) continue;
+      // Orientation folded to [0, π) so light→dark and dark→light edges match
+      const angle = (Math.atan2(gy, gx) + Math.PI) % Math.PI;
+      histogram[Math.min(ORIENTATION_BINS - 1, Math.floor((angle / Math.PI) * ORIENTATION_BINS))] += magnitude;
+      total += magnitude;
+    }
+  }
+  if (total) histogram.forEach((value, i) => (histogram[i] = value / total));
+  return { histogram, density: total / ((size - 2) ** 2 * 255) };
+};
+
+const intersection = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.min(a[i], b[i]);
+  return sum;
+};
+
+/**
+ * extractFeatures - colour histogram and pattern features for one image
+ * region. Compute the reference's once and compare it against each candidate.
+ */
+export const extractFeatures = async (buffer, region) => {
+  const image = await extractRegion(buffer, region);
+
+  const color = await image
+    .clone()
+    .resize(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  const gray = await image
+    .clone()
+    .resize(PATTERN_SAMPLE_SIZE, PATTERN_SAMPLE_SIZE, { fit: "fill" })
+    .greyscale()
+    .raw()
+    .toBuffer();
+
+  return {
+    colorHistogram: colorHistogram(color),
+    pattern: orientationFeatures(gray, PATTERN_SAMPLE_SIZE),
+  };
+};
+
+/**
+ * compareFeatures - similarity of two feature sets:
+ *   { score, colorSimilarity, patternSimilarity }
+ */
+export const compareFeatures = (reference, candidate) => {
+  const colorSimilarity = intersection(reference.colorHistogram, candidate.colorHistogram);
+
+  const { density: a } = reference.pattern;
+  const { density: b } = candidate.pattern;
+  const densityRatio = Math.max(a, b) ? Math.min(a, b) / Math.max(a, b) : 1;
+  const patternSimilarity =
+    intersection(reference.pattern.histogram, candidate.pattern.histogram) * densityRatio;
+
+  return {
+    score: round(COLOR_WEIGHT * colorSimilarity + (1 - COLOR_WEIGHT) * patternSimilarity),
+    colorSimilarity: round(colorSimilarity),
+    patternSimilarity: round(patternSimilarity),
+  };
+};
+
+/**
+ * scoreCandidates - scores each generated image buffer against the garment
+ * in `referenceBuffer`. Results keep the input order.
+ */
+export const scoreCandidates = async (referenceBuffer, candidateBuffers) => {
+  const reference = await extractFeatures(referenceBuffer, GARMENT_REGIONS.reference);
+  const scores = [];
+  for (const buffer of candidateBuffers) {
+    scores.push(compareFeatures(reference, await extractFeatures(buffer, GARMENT_REGIONS.generated)));
+  }
+  return scores;
+};
@@ -1,6 +1,12 @@
 import express from "express";
 import cors from "cors";
 import generateRouter from "./routes/generate.js";
+import jobsRouter from "./routes/jobs.js";
+import modelReferencesRouter from "./routes/modelReferences.js";
+import presetsRouter from "./routes/presets.js";
+import personasRouter from "./routes/personas.js";
+import optionsRouter from "./routes/options.js";
+import { errorHandler } from "./middleware/errorHandler.js";
 
 const app = express();
 
@@ -20,5 +26,13 @@ app.get("/", (req, res) => {
 // 🚨 FIX HERE: Change the route base path to /api
 // This allows generateRouter to define the POST route at /generate-image
 app.use("/api", generateRouter);
+app.use("/api", jobsRouter);
+app.use("/api", modelReferencesRouter);
+app.use("/api", presetsRouter);
+app.use("/api", personasRouter);
+app.use("/api", optionsRouter);
+
+// Formats every error passed to next() as { error, code, details? }
+app.use(errorHandler);
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Framing presets - the output aspect ratio per sales channel (`framing`
+ * form field), with the composition the prompt asks for in that frame.
+ *
+ * An explicit `aspectRatio` field wins over the preset's ratio, and the
+ * composition follows the ratio: the preset with that ratio, or the generic
+ * one for its orientation. The resolved ratio is requested from the model and
+ * enforced by the encoder's final crop, so output dimensions match it exactly.
+ */
+
+const FRAMING_PRESETS = [
+  {
+    id: "portrait",
+    label: "Catalog portrait",
+    aspectRatio: "3:4",
+    composition: "full body or knees-up, model centred with a little headroom",
+  },
+  {
+    id: "square",
+    label: "Marketplace square",
+    aspectRatio: "1:1",
+    composition:
+      "model centred with even margins left and right, the whole garment inside the frame, nothing important near the edges",
+  },
+  {
+    id: "feed",
+    label: "Instagram feed",
+    aspectRatio: "4:5",
+    composition: "model centred, knees-up or full body, garment filling most of the frame",
+  },
+  {
+    id: "story",
+    label: "Instagram story",
+    aspectRatio: "9:16",
+    composition:
+      "tall vertical frame, full body with space above the head and below the feet; keep garment details out of the top and bottom 15% where app overlays sit",
+  },
+  {
+    id: "banner",
+    label: "Website banner",
+    aspectRatio: "16:9",
+    composition:
+      "wide frame, model on the left or right third and still framed knees-up, the environment fills the remaining width; never a wide room shot",
+  },
+];
+
+// Composition for ratios without a preset, by orientation
+const ORIENTATION_COMPOSITION = {
+  portrait: "vertical frame, model centred with a little headroom",
+  square: "square frame, model centred with even margins, the whole garment inside the frame",
+  landscape: "horizontal frame, model on the left or right third, the environment fills the remaining width",
+};
+
+export const FRAMING_IDS = FRAMING_PRESETS.map((preset) => preset.id);
+
+const orientationOf = (aspectRatio) => {
+  const [w, h] = aspectRatio.split(":").map(Number);
+  if (w === h) return "square";
+  return w > h ? "landscape" : "portrait";
+};
+
+/**
+ * resolveFraming - the framing for a form body's `framing` / `aspectRatio`:
+ * { id, label, aspectRatio, orientation, composition }, or null when neither
+ * is set (the model's default framing and the output profile's crop apply).
+ * `id` is "custom" for an aspectRatio without a matching preset.
+ */
+export const resolveFraming = ({ framing, aspectRatio } = {}) => {
+  const preset = FRAMING_PRESETS.find((entry) => entry.id === framing);
+  const ratio = aspectRatio || preset?.aspectRatio;
+  if (!ratio) return null;
+
+  const match =
+    preset && preset.aspectRatio === ratio
+      ? preset
+      : FRAMING_PRESETS.find((entry) => entry.aspectRatio === ratio);
+  const orientation = orientationOf(ratio);
+  return {
+    id: match?.id || "custom",
+    label: match?.label || "Custom",
+    aspectRatio: ratio,
+    orientation,
+    composition: match?.composition || ORIENTATION_COMPOSITION[orientation],
+  };
+};
+
+export const listFramings = () =>
+  FRAMING_PRESETS.map(({ id, label, aspectRatio }) => ({ id, label, aspectRatio }));
@@ -0,0 +1,220 @@
+/**
+ * Garment types the studio can photograph (`garmentType` form field).
+ *
+ * Prompt templates are written once with garment terms - {{garment}},
+ * {{drape}}, {{top}}, ... (see `terms` below) - and each type fills them in,
+ * so the saree wording is exactly what the templates always said. Per-type
+ * rule packs (rules/garment-<id>.json) add construction details that don't
+ * generalise.
+ *
+ *   terms             template vocabulary; `drape` is "" when the garment has
+ *                     no pallu / dupatta, which switches drape-only blocks off
+ *   defaults          overrides of the prompt context DEFAULTS
+ *   flagAliases       pose flags that mean something else on this garment
+ *                     (a "pallu spread" on a lehenga is a dupatta drape)
+ *   unsupportedFlags  pose flags whose prompt blocks don't apply
+ *   poseIds           registry poses that make sense for the garment
+ */
+
+export const DEFAULT_GARMENT_TYPE = "saree";
+
+// Registry pose ids every garment supports
+const COMMON_POSE_IDS = [
+  "front-standing",
+  "side-profile",
+  "three-quarter",
+  "walking",
+  "sitting",
+  "back-view",
+  "close-up",
+  "mirror",
+  "kitchen-cooking",
+  "kitchen-coffee",
+  "laptop",
+];
+
+const GARMENTS = [
+  {
+    id: "saree",
+    label: "Saree",
+    terms: {
+      garment: "saree",
+      garmentPlural: "sarees",
+      drape: "pallu",
+      top: "blouse",
+      folds: "pleats",
+      backView: "BACK/PALLU",
+    },
+    defaults: {},
+    flagAliases: {},
+    unsupportedFlags: ["isDupattaDrapePose"],
+    poseIds: [...COMMON_POSE_IDS, "pallu-spread", "blouse-zoom"],
+  },
+  {
+    id: "lehenga",
+    label: "Lehenga choli",
+    terms: {
+      garment: "lehenga",
+      garmentPlural: "lehengas",
+      drape: "dupatta",
+      top: "choli",
+      folds: "skirt pleats",
+      backView: "BACK/DUPATTA",
+    },
+    defaults: {
+      pose: "full body front pose, standing naturally, lehenga skirt flare fully visible",
+      accessories: "statement traditional jewellery, maang tikka and jhumkas",
+      otherOption:
+        "match lehenga skirt, choli and dupatta design, borders, embroidery, and colours exactly from primary reference image",
+    },
+    flagAliases: { isPalluSpreadPose: "isDupattaDrapePose" },
+    unsupportedFlags: ["isBlouseZoomPose"],
+    poseIds: [...COMMON_POSE_IDS, "dupatta-drape"],
+  },
+  {
+    id: "salwar-kameez",
+    label: "Salwar kameez",
+    terms: {
+      garment: "salwar kameez",
+      garmentPlural: "salwar kameez sets",
+      drape: "dupatta",
+      top: "kameez",
+      folds: "salwar gathers",
+      backView: "BACK/DUPATTA",
+    },
+    defaults: {
+      pose: "full body front pose, standing naturally, kameez hem and salwar visible",
+      otherOption:
+        "match kameez, salwar and dupatta design, borders, embroidery, and colours exactly from primary reference image",
+    },
+    flagAliases: { isPalluSpreadPose: "isDupattaDrapePose" },
+    unsupportedFlags: ["isBlouseZoomPose"],
+    poseIds: [...COMMON_POSE_IDS, "dupatta-drape"],
+  },
+  {
+    id: "kurti",
+    label: "Kurti",
+    terms: {
+      garment: "kurti",
+      garmentPlural: "kurtis",
+      drape: "",
+      top: "yoke",
+      folds: "fabric folds",
+      backView: "BACK",
+    },
+    defaults: {
+      pose: "full body front pose, standing naturally, kurti length and hemline visible",
+      accessories: "minimal contemporary jewellery, small earrings",
+      otherOption:
+        "match kurti design, neckline, yoke, borders, motifs, and colours exactly from primary reference image",
+    },
+    flagAliases: {},
+    unsupportedFlags: ["isPalluSpreadPose", "isBlouseZoomPose", "isDupattaDrapePose"],
+    poseIds: COMMON_POSE_IDS,
+  },
+  {
+    id: "dupatta-set",
+    label: "Kurta set with dupatta",
+    terms: {
+      garment: "kurta set",
+      garmentPlural: "kurta sets",
+      drape: "dupatta",
+      top: "kurta",
+      folds: "kurta flare",
+      backView: "BACK/DUPATTA",
+    },
+    defaults: {
+      otherOption:
+        "match kurta, bottoms and dupatta design, borders, motifs, and colours exactly from primary reference image",
+    },
+    flagAliases: { isPalluSpreadPose: "isDupattaDrapePose" },
+    unsupportedFlags: ["isBlouseZoomPose"],
+    poseIds: [...COMMON_POSE_IDS, "dupatta-drape"],
+  },
+  {
+    id: "anarkali",
+    label: "Anarkali",
+    terms: {
+      garment: "anarkali",
+      garmentPlural: "anarkalis",
+      drape: "dupatta",
+      top: "bodice",
+      folds: "kalis and flare",
+      backView: "BACK/DUPATTA",
+    },
+    defaults: {
+      pose: "full body front pose, standing naturally, anarkali flare fully visible",
+      accessories: "statement traditional jewellery, jhumkas and bangles",
+      otherOption:
+        "match anarkali bodice, kalis, border and dupatta design, embroidery, and colours exactly from primary reference image",
+    },
+    flagAliases: { isPalluSpreadPose: "isDupattaDrapePose" },
+    unsupportedFlags: ["isBlouseZoomPose"],
+    poseIds: [...COMMON_POSE_IDS, "dupatta-drape"],
+  },
+];
+
+export const GARMENT_TYPES = GARMENTS.map((garment) => garment.id);
+
+const capitalize = (text) => (text ? text[0].toUpperCase() + text.slice(1) : text);
+
+// {{garment}} → also {{Garment}} and {{GARMENT}} (same for every term)
+const withCaseVariants = (terms) =>
+  Object.fromEntries(
+    Object.entries(terms).flatMap(([name, value]) => [
+      [name, value],
+      [capitalize(name), capitalize(value)],
+      [name.toUpperCase(), value.toUpperCase()],
+    ]),
+  );
+
+/**
+ * getGarment - the registry entry for `garmentType` (saree when unset), with
+ * the template terms expanded to their case variants.
+ */
+export const getGarment = (garmentType) => {
+  const garment = GARMENTS.find((entry) => entry.id === (garmentType || DEFAULT_GARMENT_TYPE));
+  if (!garment) return null;
+  return { ...garment, terms: withCaseVariants(garment.terms) };
+};
+
+/**
+ * applyGarmentFlags - maps detected pose flags onto what the garment
+ * supports: aliased flags move to their garment meaning, unsupported ones are
+ * switched off. Returns { flags, adjusted: [{ flag, to }] } where `to` is the
+ * alias or null.
+ */
+export const applyGarmentFlags = (garment, flags) => {
+  const result = { ...flags };
+  const adjusted = [];
+  for (const [flag, alias] of Object.entries(garment.flagAliases)) {
+    if (!result[flag]) continue;
+    result[flag] = false;
+    result[alias] = true;
+    adjusted.push({ flag, to: alias });
+  }
+  for (const flag of garment.unsupportedFlags) {
+    if (!result[flag]) continue;
+    result[flag] = false;
+    adjusted.push({ flag, to: null });
+  }
+  return { flags: result, adjusted };
+};
+
+export const listGarments = () =>
+  GARMENTS.map(({ id, label, terms, poseIds }) => ({
+    id,
+    label,
+    drape: terms.drape || null,
+    poseIds,
+  }));
+
+/**
+ * checkGarmentPose - a validation problem ({ field, message }) when the
+ * registry `poseId` is not offered for the garment, otherwise null.
+ */
+export const checkGarmentPose = (garmentType, poseId) => {
+  const garment = getGarment(garmentType);
+  if (!garment || !poseId || garment.poseIds.includes(poseId)) return null;
+  return { field: "poseId", message: `is not available for garmentType "${garment.id}"` };
+};
@@ -0,0 +1,214 @@
+/**
+ * Model profiles - how the prompt handles the model type the form asks for.
+ *
+ * The modelType phrase is matched against each profile's `trigger` (same rule
+ * shape as catalog/options.js TRIGGERS; the `flag` is what rule packs see).
+ * At most one profile per `group` applies: the first matching ethnicity
+ * (Indian when none matches) plus any body / age profile, so "older plus-size
+ * European woman" resolves to three profiles.
+ *
+ *   adjective  how the profile reads in prompt text ("plus-size European")
+ *   article    "a" / "an" for when the adjective starts the phrase
+ *   defaults   overrides of the garment / context defaults for fields the
+ *              request leaves unset (age beats body beats ethnicity)
+ *   guidance   prompt lines for the model-profile-handling section
+ */
+
+export const DEFAULT_MODEL_PROFILE = "indian";
+
+// Adjective order in labels: "older plus-size European"
+const GROUPS = ["age", "body", "ethnicity"];
+
+const MODEL_PROFILES = [
+  {
+    id: "indian",
+    label: "Indian",
+    group: "ethnicity",
+    flag: "isIndianModel",
+    adjective: "Indian",
+    article: "an",
+    trigger: { any: ["indian"], synonyms: ["desi", "south asian"] },
+    defaults: {},
+    guidance: [],
+  },
+  {
+    id: "european",
+    label: "European",
+    group: "ethnicity",
+    flag: "isEuropeanModel",
+    adjective: "European",
+    article: "a",
+    trigger: { any: ["european"], synonyms: ["caucasian", "scandinavian"] },
+    defaults: {
+      hair: "elegant European hairstyle, styled naturally",
+      accessories: "minimal elegant jewelry, contemporary style",
+    },
+    guidance: [
+      "Fair skin tone should complement the {{garment}} colors naturally",
+      "Hair styling can be European but should work with {{garment}} aesthetic",
+      "Makeup should be elegant and not overly dramatic",
+      "Pose should be confident and graceful",
+    ],
+  },
+  {
+    id: "african",
+    label: "African",
+    group: "ethnicity",
+    flag: "isAfricanModel",
+    adjective: "African",
+    article: "an",
+    trigger: { any: ["african"] },
+    defaults: {
+      hair: "natural African hairstyle, beautifully styled",
+      accessories: "elegant jewelry that complements skin tone",
+    },
+    guidance: [
+      "Beautiful dark skin tone should be celebrated and highlighted",
+      "Natural hair textures and styles are encouraged",
+      "Makeup should enhance natural beauty and complement skin tone",
+      "Pose should be confident and regal",
+    ],
+  },
+  {
+    id: "east-asian",
+    label: "East Asian",
+    group: "ethnicity",
+    flag: "isEastAsianModel",
+    adjective: "East Asian",
+    article: "an",
+    trigger: { any: ["east asian"], synonyms: ["chinese", "japanese", "korean"] },
+    defaults: {
+      hair: "sleek straight hair in a low bun or neatly open",
+      accessories: "delicate minimal jewellery, small studs",
+    },
+    guidance: [
+      "Keep East Asian facial features natural and accurate - do not westernize or Indianize them",
+      "Skin tone and undertone must stay consistent across face, neck, arms and midriff",
+      "Makeup should be soft and fresh, complementing the {{garment}} colors",
+      "Pose should be graceful and composed",
+    ],
+  },
+  {
+    id: "latina",
+    label: "Latina",
+    group: "ethnicity",
+    flag: "isLatinaModel",
+    adjective: "Latina",
+    article: "a",
+    trigger: { any: ["latina", "latin american", "hispanic"], synonyms: ["mexican", "brazilian", "colombian"] },
+    defaults: {
+      hair: "soft voluminous waves, styled naturally",
+      accessories: "gold hoops or statement earrings, kept elegant",
+    },
+    guidance: [
+      "Warm skin tone should be represented naturally and evenly lit",
+      "Hair can stay voluminous and wavy while suiting the {{garment}} aesthetic",
+      "Makeup should be warm and radiant, never heavy",
+      "Pose should be confident and lively",
+    ],
+  },
+  {
+    id: "middle-eastern",
+    label: "Middle Eastern",
+    group: "ethnicity",
+    flag: "isMiddleEasternModel",
+    adjective: "Middle Eastern",
+    article: "a",
+    trigger: { any: ["middle eastern"], synonyms: ["arab", "arabic", "persian", "turkish"] },
+    defaults: {
+      hair: "long dark hair, glossy and softly styled",
+      accessories: "refined gold jewellery, statement earrings",
+    },
+    guidance: [
+      "Keep Middle Eastern facial features and skin tone natural and accurate",
+      "Defined eye makeup is fine but must stay elegant and catalog-appropriate",
+      "Hair styling should be polished and suit the {{garment}} aesthetic",
+      "Pose should be poised and elegant",
+    ],
+  },
+  {
+    id: "plus-size",
+    label: "Plus-size",
+    group: "body",
+    flag: "isPlusSizeModel",
+    adjective: "plus-size",
+    article: "a",
+    trigger: { any: ["plus size", "plus-size", "curvy"], synonyms: ["full figured", "full-figured", "voluptuous"] },
+    defaults: {
+      pose: "full body front pose, standing naturally, relaxed confident posture",
+    },
+    guidance: [
+      "Keep the model's body plus-size as requested - do NOT slim, reshape or shrink her",
+      "The {{garment}} must drape and fit naturally over a fuller figure, following her real proportions",
+      "Garment design, border and motif scale must stay identical to the reference, not stretched or shrunk",
+      "Pose should be confident and flattering, never hiding the body",
+    ],
+  },
+  {
+    id: "older",
+    label: "Older",
+    group: "age",
+    flag: "isOlderModel",
+    adjective: "older",
+    article: "an",
+    trigger: { any: ["older", "mature", "senior"], synonyms: ["middle aged", "middle-aged", "elderly"] },
+    defaults: {
+      modelExpression: "warm, graceful expression, age 45–65",
+      hair: "elegant low bun, natural grey strands allowed",
+      accessories: "classic traditional jewellery, understated",
+    },
+    guidance: [
+      "The model is a mature woman - keep natural age signs (fine lines, skin texture, grey strands)",
+      "Do NOT de-age, airbrush or retouch her into a younger model",
+      "Styling should be dignified and elegant",
+      "Pose should be relaxed and graceful",
+    ],
+  },
+];
+
+/**
+ * Trigger rules keyed by profile flag - the `modelType` group of
+ * catalog/options.js TRIGGERS.
+ */
+export const MODEL_PROFILE_TRIGGERS = Object.fromEntries(
+  MODEL_PROFILES.map((profile) => [profile.flag, profile.trigger]),
+);
+
+/**
+ * resolveModelProfiles - picks the applicable profiles from detected
+ * modelType flags. Returns
+ *
+ *   { profiles, ids, label, labelWithArticle, ethnicity, isDefault, defaults, guidance }
+ *
+ * `profiles` are in label order (age, body, ethnicity); `isDefault` is true
+ * for a plain Indian model, which needs no extra handling.
+ */
+export const resolveModelProfiles = (flags = {}) => {
+  const profiles = GROUPS.map(
+    (group) =>
+      MODEL_PROFILES.find((profile) => profile.group === group && flags[profile.flag]) ||
+      (group === "ethnicity" ? MODEL_PROFILES.find((profile) => profile.id === DEFAULT_MODEL_PROFILE) : null),
+  ).filter(Boolean);
+
+  const label = profiles.map((profile) => profile.adjective).join(" ");
+  return {
+    profiles,
+    ids: profiles.map((profile) => profile.id),
+    label,
+    labelWithArticle: `${profiles[0].article} ${label}`,
+    ethnicity: profiles[profiles.length - 1].adjective,
+    isDefault: profiles.length === 1 && profiles[0].id === DEFAULT_MODEL_PROFILE,
+    // Ethnicity first, so body / age defaults win on the same field
+    defaults: Object.assign({}, ...[...profiles].reverse().map((profile) => profile.defaults)),
+    guidance: profiles.flatMap((profile) => profile.guidance),
+  };
+};
+
+export const listModelProfiles = () =>
+  MODEL_PROFILES.map(({ id, label, group, flag, defaults }) => ({
+    id,
+    label,
+    group,
+    flag,
+    defaults,
+  }));
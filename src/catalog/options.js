@@ -0,0 +1,222 @@
+import { OUTPUT_PROFILE_NAMES } from "../encoding/profiles.js";
+import { classifyText } from "../classification/textMatcher.js";
+import { NOTES_LANGUAGES } from "../localization/index.js";
+import { LOCALIZED_TRIGGERS } from "../localization/keywords.js";
+import { listGarments } from "./garments.js";
+import { listFramings } from "./framing.js";
+import { ASPECT_RATIOS } from "../providers/index.js";
+import { listDerivatives } from "../encoding/derivatives.js";
+import { WATERMARK_POSITIONS } from "../encoding/watermark.js";
+import { MODEL_PROFILE_TRIGGERS, listModelProfiles } from "./modelProfiles.js";
+
+/**
+ * Single registry of the form options the frontend offers and the trigger
+ * keywords the prompt context detects in them.
+ *
+ * Trigger flags are defined once here (TRIGGERS) and used both by
+ * buildPromptContext for detection and to annotate each option, so
+ * GET /api/options always reports exactly which prompt blocks a dropdown
+ * value will fire and whether it needs referenceImage2.
+ */
+
+/* ---------------------------- Triggers ---------------------------- */
+// Rule shape (any / synonyms / all / exclude) is documented in
+// classification/textMatcher.js. Phrases match whole words only.
+export const TRIGGERS = {
+  pose: {
+    isBackPose: {
+      any: ["back", "rear"],
+      synonyms: ["from behind", "behind view", "backside"],
+      exclude: [
+        "pulled back",
+        "tied back",
+        "swept back",
+        "leaning back",
+        "lean back",
+        "back support",
+        "back of the room",
+        "back home",
+      ],
+    },
+    isBlouseZoomPose: {
+      all: [
+        { any: ["blouse"] },
+        { any: ["zoom"], synonyms: ["zoomed", "close up", "close-up", "closeup"] },
+      ],
+    },
+    isMirrorPose: { any: ["mirror"] },
+    isKitchenLaptop: { any: ["laptop", "working on laptop"], synonyms: ["macbook", "notebook computer"] },
+    isKitchenCooking: {
+      any: ["kitchen cooking", "chopping", "cutting vegetables"],
+      synonyms: ["cooking", "stirring", "chopping vegetables"],
+    },
+    isKitchenCoffee: {
+      any: ["coffee", "tea", "holding cup", "kitchen coffee"],
+      synonyms: ["chai", "mug", "sipping"],
+      exclude: ["tea table", "coffee table", "tea-table", "coffee-table", "tea light", "tea lights"],
+    },
+    isPalluSpreadPose: {
+      any: [
+        "pallu spread",
+        "pallu display",
+        "showing pallu",
+        "pallu visible",
+        "dupatta spread",
+        "holding dupatta",
+      ],
+      synonyms: ["spreading pallu", "displaying pallu", "pallu open", "open pallu", "pallu fanned out"],
+    },
+    // Non-saree garments (catalog/garments.js); a pallu spread maps here too
+    isDupattaDrapePose: {
+      any: ["dupatta drape", "dupatta draped", "draping dupatta", "dupatta spread", "holding dupatta"],
+      synonyms: ["showing dupatta", "dupatta display", "dupatta over arm", "dupatta visible"],
+    },
+    isZoom: {
+      any: ["zoom", "close up", "close-up", "head to knees", "closeup"],
+      synonyms: ["zoomed"],
+    },
+  },
+  location: {
+    isLivingRoom: { any: ["living room", "home"], synonyms: ["lounge", "drawing room"] },
+    indoorNoCeiling: {
+      any: ["living room", "home", "office"],
+      synonyms: ["lounge", "drawing room", "workspace"],
+    },
+  },
+  // One flag per model profile (catalog/modelProfiles.js)
+  modelType: MODEL_PROFILE_TRIGGERS,
+};
+
+// TRIGGERS with the per-language synonyms added - the rules detection runs.
+// `all` rules are left as they are (see localization/keywords.js).
+const withLocalizedSynonyms = (group) =>
+  Object.fromEntries(
+    Object.entries(TRIGGERS[group]).map(([flag, rule]) => {
+      const extra = Object.values(LOCALIZED_TRIGGERS).flatMap((language) => language[group]?.[flag] || []);
+      if (rule.all || extra.length === 0) return [flag, rule];
+      return [flag, { ...rule, synonyms: [...(rule.synonyms || []), ...extra] }];
+    }),
+  );
+
+const RULES = Object.fromEntries(Object.keys(TRIGGERS).map((group) => [group, withLocalizedSynonyms(group)]));
+
+// Flags whose prompt handling needs a second reference image
+export const SECOND_IMAGE_FLAGS = ["isBackPose"];
+
+/**
+ * classifyFlags - evaluates one TRIGGERS group (pose, location, modelType)
+ * (including its localized synonyms) against free text: { flags: { flagName: boolean }, results } with the
+ * matched phrases and confidence per flag (see classifyText).
+ */
+export const classifyFlags = (group, text = "") => classifyText(RULES[group], text);
+
+/**
+ * detectFlags - just the { flagName: boolean } map of classifyFlags.
+ */
+export const detectFlags = (group, text = "") => classifyFlags(group, text).flags;
+
+export const requiresSecondImage = (flags) =>
+  SECOND_IMAGE_FLAGS.some((flag) => flags[flag]);
+
+/* ---------------------------- Options ---------------------------- */
+export const GENERATION_MODES = ["POSE_BASED", "MODEL_REFERENCE_BASED"];
+
+// `value` is the exact string to send in the form field
+export const POSES = [
+  { id: "front-standing", label: "Full body front", value: "full body front pose, standing naturally" },
+  { id: "side-profile", label: "Side profile", value: "side profile pose, full body" },
+  { id: "three-quarter", label: "Three-quarter turn", value: "three-quarter turn, looking at camera" },
+  { id: "walking", label: "Walking", value: "walking pose, mid-stride, full body" },
+  { id: "sitting", label: "Sitting", value: "sitting gracefully on a chair" },
+  { id: "back-view", label: "Back view", value: "back pose, full body from behind" },
+  { id: "pallu-spread", label: "Pallu spread", value: "pallu spread, arms open showing pallu" },
+  { id: "dupatta-drape", label: "Dupatta drape", value: "dupatta draped over one arm, dupatta fully visible" },
+  { id: "blouse-zoom", label: "Blouse zoom", value: "blouse zoom, head to waist close-up" },
+  { id: "close-up", label: "Close-up (head to knees)", value: "close-up, head to knees" },
+  { id: "mirror", label: "Mirror adjustment", value: "adjusting saree in front of mirror" },
+  { id: "kitchen-cooking", label: "Kitchen cooking", value: "kitchen cooking, chopping vegetables" },
+  { id: "kitchen-coffee", label: "Kitchen coffee", value: "kitchen coffee, holding cup" },
+  { id: "laptop", label: "Working on laptop", value: "working on laptop at kitchen counter" },
+];
+
+const LOCATIONS = [
+  { id: "living-room", label: "Modern living room", value: "modern living room interior, home environment" },
+  { id: "office", label: "Office", value: "modern office interior" },
+  { id: "kitchen", label: "Modern kitchen", value: "modern kitchen interior" },
+  { id: "studio-white", label: "Studio (white)", value: "plain white studio backdrop" },
+  { id: "studio-grey", label: "Studio (grey)", value: "plain grey studio backdrop" },
+  { id: "garden", label: "Garden", value: "outdoor garden with soft daylight" },
+  { id: "balcony", label: "Balcony", value: "balcony with city view" },
+  { id: "temple", label: "Temple courtyard", value: "temple courtyard, traditional architecture" },
+  { id: "heritage", label: "Heritage haveli", value: "heritage haveli courtyard" },
+  { id: "cafe", label: "Cafe", value: "cozy cafe interior" },
+];
+
+const MODEL_TYPES = [
+  { id: "indian", label: "Indian (default)", value: "Indian woman, medium height, average build, realistic proportions" },
+  { id: "indian-tall", label: "Indian, tall and slim", value: "Indian woman, tall, slim build" },
+  { id: "european", label: "European", value: "European woman, medium height, average build" },
+  { id: "african", label: "African", value: "African woman, medium height, average build" },
+  { id: "east-asian", label: "East Asian", value: "East Asian woman, medium height, slim build" },
+  { id: "latina", label: "Latina", value: "Latina woman, medium height, average build" },
+  { id: "middle-eastern", label: "Middle Eastern", value: "Middle Eastern woman, medium height, average build" },
+  { id: "indian-plus-size", label: "Indian, plus-size", value: "Indian woman, plus-size, curvy build" },
+  { id: "indian-older", label: "Indian, older", value: "older Indian woman, age 50–60, graceful" },
+];
+
+const EXPRESSIONS = [
+  { id: "natural", label: "Natural", value: "natural relaxed expression" },
+  { id: "soft-smile", label: "Soft smile", value: "soft smile" },
+  { id: "confident", label: "Confident", value: "confident look" },
+  { id: "joyful", label: "Joyful", value: "joyful laugh" },
+  { id: "serene", label: "Serene", value: "serene, calm expression" },
+  { id: "looking-away", label: "Looking away", value: "looking away from camera" },
+];
+
+const HAIR = [
+  { id: "bun", label: "Neat bun", value: "neat low bun" },
+  { id: "braid", label: "Braid", value: "long side braid" },
+  { id: "open-waves", label: "Open, soft waves", value: "open hair with soft waves" },
+  { id: "straight-open", label: "Open, straight", value: "open straight hair" },
+  { id: "gajra-bun", label: "Bun with gajra", value: "bun with jasmine gajra" },
+];
+
+const ACCESSORIES = [
+  { id: "light-traditional", label: "Light traditional jewellery", value: "light traditional jewellery only" },
+  { id: "temple-gold", label: "Temple gold set", value: "gold temple jewellery set" },
+  { id: "jhumkas", label: "Jhumkas and bangles", value: "jhumka earrings and glass bangles" },
+  { id: "minimal", label: "Minimal", value: "minimal jewellery, small studs" },
+  { id: "none", label: "None", value: "no jewellery" },
+];
+
+// Attaches the flags each value triggers, computed with the detection rules
+const annotate = (options, group) =>
+  options.map((option) => {
+    const detected = group ? detectFlags(group, option.value) : {};
+    const flags = Object.keys(detected).filter((flag) => detected[flag]);
+    return { ...option, flags, requiresSecondImage: requiresSecondImage(detected) };
+  });
+
+/**
+ * getOptionsCatalog - everything GET /api/options returns.
+ */
+export const getOptionsCatalog = () => ({
+  poses: annotate(POSES, "pose"),
+  locations: annotate(LOCATIONS, "location"),
+  modelTypes: annotate(MODEL_TYPES, "modelType"),
+  expressions: annotate(EXPRESSIONS),
+  hair: annotate(HAIR),
+  accessories: annotate(ACCESSORIES),
+  generationModes: GENERATION_MODES,
+  garmentTypes: listGarments(),
+  modelProfiles: listModelProfiles(),
+  outputProfiles: OUTPUT_PROFILE_NAMES,
+  framings: listFramings(),
+  derivatives: listDerivatives(),
+  watermarkPositions: WATERMARK_POSITIONS,
+  aspectRatios: ASPECT_RATIOS,
+  triggers: TRIGGERS,
+  localizedTriggers: LOCALIZED_TRIGGERS,
+  notesLanguages: NOTES_LANGUAGES,
+  secondImageFlags: SECOND_IMAGE_FLAGS,
+});
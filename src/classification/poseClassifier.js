@@ -0,0 +1,82 @@
+import { POSES, classifyFlags } from "../catalog/options.js";
+
+/**
+ * Pose / intent classification for the prompt context.
+ *
+ * An explicit pose - the `poseId` field, or a `pose` value that is exactly a
+ * registry option's id or value - decides the pose flags on its own; free-text
+ * notes can't add or cancel them (what they would have triggered is reported
+ * as `ignoredNoteFlags`). Otherwise pose and poseNote are classified together
+ * with the word-level matcher (classification/textMatcher.js).
+ */
+
+const normalize = (value) => String(value ?? "").trim().toLowerCase();
+
+/**
+ * findPoseOption - the registry pose whose id or value equals `value`.
+ */
+export const findPoseOption = (value) => {
+  const wanted = normalize(value);
+  if (!wanted) return null;
+  return POSES.find((option) => option.id === wanted || normalize(option.value) === wanted) || null;
+};
+
+const firingMatches = (result) =>
+  result.matches.filter((match) => !match.negated && !match.excluded);
+
+const suppressedMatches = (results) =>
+  Object.entries(results).flatMap(([flag, result]) =>
+    result.matches
+      .filter((match) => match.negated || match.excluded)
+      .map((match) => ({ flag, text: match.text, reason: match.negated ? "negated" : "excluded" })),
+  );
+
+/**
+ * classifyPose - pose flags plus an explanation for debugInfo:
+ *   {
+ *     source: "poseId" | "text",
+ *     poseId,             registry id when the pose was explicit
+ *     flags,              { isBackPose, isMirrorPose, ... }
+ *     confidence,         lowest confidence among the flags that fired (1 if none)
+ *     matchedRules,       [{ flag, confidence, matches: [{ phrase, text, kind, fuzzy }] }]
+ *     suppressed,         negated / excluded phrase hits that did not fire
+ *     ignoredNoteFlags,   flags the note would have set under an explicit pose
+ *   }
+ */
+export const classifyPose = ({ poseId, pose, poseNote } = {}) => {
+  const option = findPoseOption(poseId) || findPoseOption(pose);
+
+  const text = option ? option.value : `${pose || ""}\n${poseNote || ""}`;
+  const { flags, results } = classifyFlags("pose", text);
+
+  const matchedRules = Object.keys(flags)
+    .filter((flag) => flags[flag])
+    .map((flag) => ({
+      flag,
+      confidence: option ? 1 : results[flag].confidence,
+      matches: firingMatches(results[flag]).map(({ phrase, text: matched, kind, fuzzy }) => ({
+        phrase,
+        text: matched,
+        kind,
+        fuzzy,
+      })),
+    }));
+
+  let ignoredNoteFlags = [];
+  if (option && poseNote) {
+    const note = classifyFlags("pose", poseNote).flags;
+    ignoredNoteFlags = Object.keys(note).filter((flag) => note[flag] && !flags[flag]);
+  }
+
+  return {
+    source: option ? "poseId" : "text",
+    poseId: option?.id ?? null,
+    flags,
+    confidence: matchedRules.length
+      ? Math.min(...matchedRules.map((rule) => rule.confidence))
+      : 1,
+    matchedRules,
+    suppressed: suppressedMatches(results),
+    ignoredNoteFlags,
+  };
+};
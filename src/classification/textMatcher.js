@@ -0,0 +1,198 @@
+/**
+ * Word-level phrase matching for trigger rules.
+ *
+ * Text is split into clauses (at punctuation and "but") and tokens; hyphenated
+ * words stay one token, so "laid-back" never matches "back". A rule is
+ *
+ *   {
+ *     any:      ["phrase", ...]      matches at full confidence
+ *     synonyms: ["phrase", ...]      matches at SYNONYM_CONFIDENCE
+ *     all:      [rule, rule, ...]    every sub-rule must match
+ *     exclude:  ["phrase", ...]      tokens inside these phrases can't match
+ *   }
+ *
+ * Long tokens also match with one typo ("palldu" → "pallu") at reduced
+ * confidence, and a match preceded by a negation in the same clause ("no
+ * back view", "without mirror"), or followed by a Hindi / Gujarati / Tamil
+ * one ("peeche se nahi"), does not fire.
+ */
+
+const SYNONYM_CONFIDENCE = 0.85;
+const FUZZY_FACTOR = 0.75;
+// Tokens shorter than this must match exactly ("tea" must not match "tee")
+const FUZZY_MIN_LENGTH = 5;
+// How many tokens before a match a negation still applies to
+const NEGATION_WINDOW = 3;
+
+// English plus the Hindi "without" (बिना / bina), which also precedes the noun
+export const NEGATIONS = [
+  "no",
+  "not",
+  "without",
+  "avoid",
+  "never",
+  "dont",
+  "don't",
+  "nor",
+  "exclude",
+  "except",
+  "बिना",
+  "bina",
+];
+
+// Hindi, Gujarati and Tamil negate after the phrase ("peeche se nahi")
+export const TRAILING_NEGATIONS = ["नहीं", "nahi", "nahin", "mat", "નહીં", "નહિ", "வேண்டாம்", "இல்லை"];
+// How many tokens after a match a trailing negation still applies to
+const TRAILING_NEGATION_WINDOW = 2;
+
+const CLAUSE_SPLIT = /[,.;:!?()\n]+|\bbut\b/;
+// \p{M} keeps Indic vowel signs and viramas inside their word
+const TOKEN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+
+export const tokenize = (text = "") =>
+  String(text)
+    .normalize("NFC")
+    .toLowerCase()
+    .split(CLAUSE_SPLIT)
+    .map((clause) => (clause.match(TOKEN) || []).map((token) => token.replace("’", "'")))
+    .filter((tokens) => tokens.length > 0);
+
+const phraseTokens = (phrase) => tokenize(phrase)[0] || [];
+
+const levenshtein = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return 2;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for an exact token, FUZZY_FACTOR for a one-typo match, 0 otherwise
+const tokenScore = (expected, actual) => {
+  if (expected === actual) return 1;
+  if (
+    expected.length >= FUZZY_MIN_LENGTH &&
+    actual.length >= FUZZY_MIN_LENGTH &&
+    // Typos rarely hit the first letter; this keeps "looking" from matching "cooking"
+    expected[0] === actual[0] &&
+    !actual.includes("-") &&
+    levenshtein(expected, actual) <= 1
+  ) {
+    return FUZZY_FACTOR;
+  }
+  return 0;
+};
+
+// Every occurrence of `phrase` in the clauses as { clause, start, end, score }
+const findPhrase = (clauses, phrase, { fuzzy = true } = {}) => {
+  const expected = phraseTokens(phrase);
+  const found = [];
+  if (!expected.length) return found;
+
+  clauses.forEach((tokens, clause) => {
+    for (let start = 0; start + expected.length <= tokens.length; start++) {
+      let score = 1;
+      for (let k = 0; k < expected.length && score > 0; k++) {
+        const s = tokenScore(expected[k], tokens[start + k]);
+        score = fuzzy ? Math.min(score, s) : s === 1 ? score : 0;
+      }
+      if (score > 0) found.push({ clause, start, end: start + expected.length, score });
+    }
+  });
+  return found;
+};
+
+const isNegated = (tokens, start, end) =>
+  tokens
+    .slice(Math.max(0, start - NEGATION_WINDOW), start)
+    .some((token) => NEGATIONS.includes(token)) ||
+  tokens
+    .slice(end, end + TRAILING_NEGATION_WINDOW)
+    .some((token) => TRAILING_NEGATIONS.includes(token));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * matchRule - evaluates one rule against tokenized clauses.
+ *
+ * Returns { matched, confidence, matches } where `matches` lists every phrase
+ * occurrence considered, including negated and excluded ones:
+ *   { phrase, text, kind: "keyword" | "synonym", fuzzy, confidence, negated, excluded }
+ */
+export const matchRule = (rule, clauses) => {
+  if (rule.all) {
+    const parts = rule.all.map((part) => matchRule(part, clauses));
+    const matched = parts.every((part) => part.matched);
+    return {
+      matched,
+      confidence: matched ? Math.min(...parts.map((part) => part.confidence)) : 0,
+      matches: parts.flatMap((part) => part.matches),
+    };
+  }
+
+  // Token positions covered by exclusion phrases, per clause
+  const excluded = new Set();
+  for (const phrase of rule.exclude || []) {
+    for (const hit of findPhrase(clauses, phrase, { fuzzy: false })) {
+      for (let i = hit.start; i < hit.end; i++) excluded.add(`${hit.clause}:${i}`);
+    }
+  }
+
+  const matches = [];
+  const candidates = [
+    ...(rule.any || []).map((phrase) => ({ phrase, kind: "keyword", weight: 1 })),
+    ...(rule.synonyms || []).map((phrase) => ({ phrase, kind: "synonym", weight: SYNONYM_CONFIDENCE })),
+  ];
+
+  for (const { phrase, kind, weight } of candidates) {
+    for (const hit of findPhrase(clauses, phrase)) {
+      const tokens = clauses[hit.clause];
+      let isExcluded = false;
+      for (let i = hit.start; i < hit.end; i++) {
+        if (excluded.has(`${hit.clause}:${i}`)) isExcluded = true;
+      }
+      matches.push({
+        phrase,
+        text: tokens.slice(hit.start, hit.end).join(" "),
+        kind,
+        fuzzy: hit.score < 1,
+        confidence: round(weight * hit.score),
+        negated: isNegated(tokens, hit.start, hit.end),
+        excluded: isExcluded,
+      });
+    }
+  }
+
+  const firing = matches.filter((match) => !match.negated && !match.excluded);
+  return {
+    matched: firing.length > 0,
+    confidence: firing.length ? Math.max(...firing.map((match) => match.confidence)) : 0,
+    matches,
+  };
+};
+
+/**
+ * classifyText - runs a set of named rules ({ flagName: rule }) over `text`.
+ *
+ * Returns { flags: { flagName: boolean }, results: { flagName: { confidence, matches } } }.
+ */
+export const classifyText = (rules, text = "") => {
+  const clauses = tokenize(text);
+  const flags = {};
+  const results = {};
+  for (const [flag, rule] of Object.entries(rules)) {
+    const { matched, confidence, matches } = matchRule(rule, clauses);
+    flags[flag] = matched;
+    results[flag] = { confidence, matches };
+  }
+  return { flags, results };
+};
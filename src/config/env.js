@@ -0,0 +1,20 @@
+/**
+ * Numeric settings read from the environment. A value outside the allowed
+ * range falls back to the default with a warning, so a typo in .env
+ * degrades to the documented behaviour instead of NaN.
+ */
+const intEnv = (name, fallback, min, expected) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= min) return value;
+  console.log(`⚠️ ${name}="${raw}" is not ${expected}; using ${fallback}`);
+  return fallback;
+};
+
+export const positiveIntEnv = (name, fallback) =>
+  intEnv(name, fallback, 1, "a positive whole number");
+
+// For counts where 0 is a valid setting (e.g. no retries)
+export const nonNegativeIntEnv = (name, fallback) =>
+  intEnv(name, fallback, 0, "a whole number of 0 or more");
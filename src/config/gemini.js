@@ -4,14 +4,26 @@ import { GoogleGenAI } from "@google/genai";
 // Load env variables here so this file works even if imports are hoisted
 dotenv.config();
 
-const geminiApiKey = process.env.GEMINI_API_KEY;
+let client = null;
 
-if (!geminiApiKey) {
-  throw new Error(
-    "GEMINI_API_KEY is not set. Create backend/.env with GEMINI_API_KEY=your_key"
-  );
-}
+/**
+ * Returns the shared Gemini client, creating it on first use. The key is
+ * only required once a Gemini request is actually made, so the server can
+ * start (and use the mock provider) without GEMINI_API_KEY.
+ */
+export const getGenAI = () => {
+  if (client) return client;
 
-export const genAI = new GoogleGenAI({
-  apiKey: geminiApiKey,
-});
+  const geminiApiKey = process.env.GEMINI_API_KEY;
+
+  if (!geminiApiKey) {
+    throw new Error(
+      "GEMINI_API_KEY is not set. Create backend/.env with GEMINI_API_KEY=your_key"
+    );
+  }
+
+  client = new GoogleGenAI({
+    apiKey: geminiApiKey,
+  });
+  return client;
+};
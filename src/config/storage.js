@@ -0,0 +1,57 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Root directory for file-backed stores (jobs, libraries, presets).
+ * Vercel functions can only write to /tmp, so default there when deployed.
+ */
+export const DATA_DIR =
+  process.env.DATA_DIR ||
+  (process.env.VERCEL
+    ? "/tmp/model-studio"
+    : path.join(process.cwd(), ".data"));
+
+/* ---------------- File-store helpers ---------------- */
+// Shared by the file-backed stores (jobs, presets, personas, model references)
+
+/**
+ * Path of the entry `id` under `dir` (plus `suffix`, e.g. ".json"), or null
+ * when the id could escape the directory. Store ids are UUIDs.
+ */
+export const entryPath = (dir, id, suffix = "") =>
+  /^[\w-]+$/.test(id) ? path.join(dir, `${id}${suffix}`) : null;
+
+/** Parsed JSON of `file`, or null when it (or the path) does not exist. */
+export const readJson = async (file) => {
+  if (!file) return null;
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+export const writeJson = (file, value) => fs.writeFile(file, JSON.stringify(value));
+
+/** Entry names in `dir`; an empty list before the first write creates it. */
+export const listEntries = async (dir) => {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+};
+
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "image/heif": "heif",
+};
+
+/** File name for an image stored as `base` ("face" → "face.jpg"). */
+export const imageFileName = (base, mimetype) =>
+  `${base}.${IMAGE_EXTENSIONS[mimetype] || "bin"}`;
@@ -0,0 +1,23 @@
+import { getJob } from "../jobs/jobQueue.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+/**
+ * getJobStatus - GET /api/jobs/:id
+ *
+ * Returns the job record: status (queued/running/succeeded/failed), the
+ * current pipeline stage, timestamps, and the generation payload or error
+ * once the job has finished.
+ */
+export const getJobStatus = async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      throw new ApiError(404, ErrorCodes.JOB_NOT_FOUND, "Job not found.");
+    }
+
+    return res.json(job);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,134 @@
+import { getModelReferenceStore } from "../library/modelReferenceStore.js";
+import { preprocessReference } from "../preprocess/referenceImage.js";
+import { validationError } from "../middleware/validateRequest.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+/**
+ * Model-reference library - saved model / pose photos that /generate-image
+ * accepts as `modelReferenceId` instead of a referenceImage2 upload.
+ */
+
+// Tags are matched case-insensitively, so they are stored lower-cased
+const normalizeTags = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(list)];
+};
+
+const withImageUrl = (record) => ({
+  ...record,
+  imageUrl: `/api/model-references/${record.id}/image`,
+});
+
+const notFound = () =>
+  new ApiError(404, ErrorCodes.MODEL_REFERENCE_NOT_FOUND, "Model reference not found.");
+
+/**
+ * uploadModelReference - POST /api/model-references
+ *
+ * Multipart `image` plus optional `name` and `tags`. The photo is
+ * preprocessed like a generation upload (oriented, sRGB, metadata stripped,
+ * downscaled) before it is saved. Responds 201 with the record.
+ */
+export const uploadModelReference = async (req, res, next) => {
+  try {
+    const file = req.files?.image?.[0];
+    if (!file) {
+      throw validationError([{ field: "image", message: "is required" }]);
+    }
+
+    const { file: processed, summary } = await preprocessReference(file, { field: "image" });
+    const record = await getModelReferenceStore().create({
+      buffer: processed.buffer,
+      mimetype: processed.mimetype,
+      name: req.body.name || file.originalname || "Untitled",
+      tags: normalizeTags(req.body.tags),
+      width: summary.width ?? null,
+      height: summary.height ?? null,
+    });
+    console.log(`📚 Saved model reference ${record.id} (${record.name})`);
+
+    return res.status(201).json(withImageUrl(record));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * listModelReferences - GET /api/model-references[?tag=...]
+ */
+export const listModelReferences = async (req, res, next) => {
+  try {
+    const tag = req.query.tag ? String(req.query.tag).trim().toLowerCase() : undefined;
+    const items = await getModelReferenceStore().list({ tag });
+    return res.json({ total: items.length, items: items.map(withImageUrl) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * getModelReference - GET /api/model-references/:id
+ */
+export const getModelReference = async (req, res, next) => {
+  try {
+    const record = await getModelReferenceStore().get(req.params.id);
+    if (!record) throw notFound();
+    return res.json(withImageUrl(record));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * getModelReferenceImage - GET /api/model-references/:id/image
+ */
+export const getModelReferenceImage = async (req, res, next) => {
+  try {
+    const image = await getModelReferenceStore().getImage(req.params.id);
+    if (!image) throw notFound();
+    return res.type(image.mimetype).send(image.buffer);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * updateModelReference - PATCH /api/model-references/:id
+ *
+ * JSON { name?, tags? }; `tags` replaces the existing tags.
+ */
+export const updateModelReference = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (body.name !== undefined && (typeof body.name !== "string" || !body.name.trim())) {
+      throw validationError([{ field: "name", message: "is required" }]);
+    }
+
+    const record = await getModelReferenceStore().update(req.params.id, {
+      name: body.name?.trim(),
+      tags: body.tags !== undefined ? normalizeTags(body.tags) : undefined,
+    });
+    if (!record) throw notFound();
+    return res.json(withImageUrl(record));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * deleteModelReference - DELETE /api/model-references/:id
+ */
+export const deleteModelReference = async (req, res, next) => {
+  try {
+    const deleted = await getModelReferenceStore().delete(req.params.id);
+    if (!deleted) throw notFound();
+    console.log(`🗑️ Deleted model reference ${req.params.id}`);
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+};
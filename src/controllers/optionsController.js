@@ -0,0 +1,11 @@
+import { getOptionsCatalog } from "../catalog/options.js";
+
+/**
+ * getOptions - GET /api/options
+ *
+ * The dropdown options for the generation form (poses, locations, model
+ * types, expressions, hair, accessories), each with the prompt trigger
+ * flags its value fires and whether it needs referenceImage2, plus the
+ * trigger keyword rules themselves.
+ */
+export const getOptions = (req, res) => res.json(getOptionsCatalog());
@@ -0,0 +1,169 @@
+import { getPersonaStore } from "../library/personaStore.js";
+import { preprocessReference } from "../preprocess/referenceImage.js";
+import { validationError } from "../middleware/validateRequest.js";
+import { PERSONA_FIELDS } from "../validation/personaSchema.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+/**
+ * Persona library - named model identities that /generate-image accepts as
+ * `personaId`, so every shot of a catalog set shows the same model.
+ */
+
+const withFaceImageUrl = (persona) => ({
+  ...persona,
+  faceImageUrl: persona.face ? `/api/personas/${persona.id}/face` : null,
+});
+
+const notFound = () => new ApiError(404, ErrorCodes.PERSONA_NOT_FOUND, "Persona not found.");
+
+// Trimmed persona fields from a request body; empty strings clear a field
+const pickFields = (body = {}) =>
+  Object.fromEntries(
+    PERSONA_FIELDS.filter((name) => body[name] !== undefined && body[name] !== null).map((name) => [
+      name,
+      String(body[name]).trim(),
+    ]),
+  );
+
+const processFace = async (file) => {
+  const { file: processed, summary } = await preprocessReference(file, { field: "faceImage" });
+  return {
+    buffer: processed.buffer,
+    mimetype: processed.mimetype,
+    width: summary.width,
+    height: summary.height,
+  };
+};
+
+/**
+ * createPersona - POST /api/personas
+ *
+ * Multipart persona fields (`name` required) plus an optional `faceImage`,
+ * preprocessed like a generation upload. Responds 201 with the persona.
+ */
+export const createPersona = async (req, res, next) => {
+  try {
+    const fields = pickFields(req.body);
+    if (!fields.name) {
+      throw validationError([{ field: "name", message: "is required" }]);
+    }
+
+    const file = req.files?.faceImage?.[0];
+    const face = file ? await processFace(file) : null;
+    const persona = await getPersonaStore().create(fields, face);
+    console.log(`🧍 Saved persona ${persona.id} (${persona.name})`);
+
+    return res.status(201).json(withFaceImageUrl(persona));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * listPersonas - GET /api/personas
+ */
+export const listPersonas = async (req, res, next) => {
+  try {
+    const items = await getPersonaStore().list();
+    return res.json({ total: items.length, items: items.map(withFaceImageUrl) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * getPersona - GET /api/personas/:id
+ */
+export const getPersona = async (req, res, next) => {
+  try {
+    const persona = await getPersonaStore().get(req.params.id);
+    if (!persona) throw notFound();
+    return res.json(withFaceImageUrl(persona));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * getPersonaFace - GET /api/personas/:id/face
+ */
+export const getPersonaFace = async (req, res, next) => {
+  try {
+    const image = await getPersonaStore().getFaceImage(req.params.id);
+    if (!image) throw notFound();
+    return res.type(image.mimetype).send(image.buffer);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * updatePersona - PATCH /api/personas/:id
+ *
+ * JSON with any persona fields; fields left out keep their value. The face
+ * photo is replaced through PUT /personas/:id/face.
+ */
+export const updatePersona = async (req, res, next) => {
+  try {
+    const fields = pickFields(req.body);
+    if (fields.name === "") {
+      throw validationError([{ field: "name", message: "must not be empty" }]);
+    }
+
+    const persona = await getPersonaStore().update(req.params.id, fields);
+    if (!persona) throw notFound();
+    return res.json(withFaceImageUrl(persona));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * setPersonaFace - PUT /api/personas/:id/face
+ *
+ * Multipart `faceImage`; replaces the persona's face photo.
+ */
+export const setPersonaFace = async (req, res, next) => {
+  try {
+    const file = req.files?.faceImage?.[0];
+    if (!file) {
+      throw validationError([{ field: "faceImage", message: "is required" }]);
+    }
+
+    const store = getPersonaStore();
+    if (!(await store.get(req.params.id))) throw notFound();
+    const persona = await store.setFaceImage(req.params.id, await processFace(file));
+    return res.json(withFaceImageUrl(persona));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * deletePersonaFace - DELETE /api/personas/:id/face
+ *
+ * Removes the face photo; the persona keeps its description.
+ */
+export const deletePersonaFace = async (req, res, next) => {
+  try {
+    const persona = await getPersonaStore().setFaceImage(req.params.id, null);
+    if (!persona) throw notFound();
+    return res.json(withFaceImageUrl(persona));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * deletePersona - DELETE /api/personas/:id
+ */
+export const deletePersona = async (req, res, next) => {
+  try {
+    const deleted = await getPersonaStore().delete(req.params.id);
+    if (!deleted) throw notFound();
+    console.log(`🗑️ Deleted persona ${req.params.id}`);
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,143 @@
+import { getPresetStore } from "../library/presetStore.js";
+import { validationError } from "../middleware/validateRequest.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+import { validate } from "../validation/schema.js";
+import {
+  PRESET_FIELDS,
+  presetFieldsSchema,
+  presetSchema,
+} from "../validation/presetSchema.js";
+
+/**
+ * Generation presets - named field sets applied to /generate-image with
+ * `presetId` (see services/presetService.js).
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" ||
+  (Array.isArray(value) ? value.length === 0 : false);
+
+const notFound = () => new ApiError(404, ErrorCodes.PRESET_NOT_FOUND, "Preset not found.");
+
+// Every problem with a preset JSON body, in validate()'s { field, message } shape
+const checkPresetBody = (body, { partial = false } = {}) => {
+  const problems = validate(presetSchema, { body });
+
+  // validate() skips "", so a PATCH that sends a blank name is caught here too
+  if ((!partial || body.name !== undefined) && (typeof body.name !== "string" || !body.name.trim())) {
+    problems.push({ field: "name", message: "is required" });
+  }
+
+  if (body.fields !== undefined) {
+    if (!isPlainObject(body.fields)) {
+      problems.push({ field: "fields", message: "must be an object" });
+    } else {
+      Object.keys(body.fields)
+        .filter((name) => !PRESET_FIELDS.includes(name))
+        .forEach((name) =>
+          problems.push({ field: `fields.${name}`, message: "is not a preset field" }),
+        );
+      problems.push(...validate(presetFieldsSchema, { body: body.fields }, "fields."));
+    }
+  }
+
+  if (problems.length > 0) throw validationError(problems);
+};
+
+// Drops empty values so "unset" never overrides a request field
+const compactFields = (fields = {}) =>
+  Object.fromEntries(Object.entries(fields).filter(([, value]) => !isEmpty(value)));
+
+/**
+ * createPreset - POST /api/presets
+ *
+ * JSON { name, description?, fields } → 201 with the preset.
+ */
+export const createPreset = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    checkPresetBody(body);
+
+    const preset = await getPresetStore().create({
+      name: body.name.trim(),
+      description: body.description || "",
+      fields: compactFields(body.fields),
+    });
+    console.log(`💾 Saved preset ${preset.id} (${preset.name})`);
+
+    return res.status(201).json(preset);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * listPresets - GET /api/presets
+ */
+export const listPresets = async (req, res, next) => {
+  try {
+    const items = await getPresetStore().list();
+    return res.json({ total: items.length, items });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * getPreset - GET /api/presets/:id
+ */
+export const getPreset = async (req, res, next) => {
+  try {
+    const preset = await getPresetStore().get(req.params.id);
+    if (!preset) throw notFound();
+    return res.json(preset);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * updatePreset - PATCH /api/presets/:id
+ *
+ * JSON { name?, description?, fields? }. `fields` is merged into the saved
+ * fields; send a field as null or "" to remove it from the preset.
+ */
+export const updatePreset = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    checkPresetBody(body, { partial: true });
+
+    const store = getPresetStore();
+    const existing = await store.get(req.params.id);
+    if (!existing) throw notFound();
+
+    const preset = await store.update(req.params.id, {
+      ...(body.name !== undefined ? { name: body.name.trim() } : {}),
+      ...(body.description !== undefined ? { description: body.description } : {}),
+      ...(body.fields !== undefined
+        ? { fields: compactFields({ ...existing.fields, ...body.fields }) }
+        : {}),
+    });
+
+    return res.json(preset);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * deletePreset - DELETE /api/presets/:id
+ */
+export const deletePreset = async (req, res, next) => {
+  try {
+    const deleted = await getPresetStore().delete(req.params.id);
+    if (!deleted) throw notFound();
+    console.log(`🗑️ Deleted preset ${req.params.id}`);
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+};
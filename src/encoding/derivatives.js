@@ -0,0 +1,154 @@
+import sharp from "sharp";
+import { centreCrop, MIME_TYPES, parseAspectRatio } from "./encoder.js";
+import { deriveGarmentMask } from "../inpainting/garmentMask.js";
+import { GARMENT_REGIONS } from "../analysis/similarity.js";
+
+/**
+ * Derivative exports - extra renditions of one generation, requested with
+ * the `derivatives` form field ("all" or a comma-separated list of names).
+ *
+ *   width        output width in px (height follows the frame)
+ *   format       jpeg | webp | png
+ *   quality      encoder quality
+ *   square       1:1 crop centred on the garment instead of the frame
+ *
+ * Every derivative is resized from the same lossless model output as the
+ * main image, never from the lossy encode.
+ */
+export const DERIVATIVES = {
+  thumbnail: { label: "400px JPEG thumbnail", width: 400, format: "jpeg", quality: 80 },
+  webp: { label: "1200px WebP zoom image", width: 1200, format: "webp", quality: 82 },
+  square: { label: "1:1 garment crop", width: 1200, format: "jpeg", quality: 88, square: true },
+  master: { label: "2800px JPEG master", width: 2800, format: "jpeg", quality: 92 },
+};
+
+export const DERIVATIVE_NAMES = Object.keys(DERIVATIVES);
+
+export const listDerivatives = () =>
+  Object.entries(DERIVATIVES).map(([name, { label, width, format }]) => ({ name, label, width, format }));
+
+// Focus detection runs on a small copy; the garment centre doesn't need more
+const FOCUS_WIDTH = 256;
+// A derived mask covering more than this is a busy scene, not the garment
+const MAX_FOCUS_COVERAGE = 0.6;
+
+/**
+ * parseDerivatives - the derivative names of a form value: "all", a
+ * comma-separated string or repeated fields. Unknown names are dropped (the
+ * form schema rejects them first).
+ */
+export const parseDerivatives = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const names = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (names.includes("all")) return DERIVATIVE_NAMES;
+  return DERIVATIVE_NAMES.filter((name) => names.includes(name));
+};
+
+// Centroid of the set pixels of a single-channel mask, as fractions
+const maskCentroid = ({ mask, width, height }) => {
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      sumX += x;
+      sumY += y;
+      count++;
+    }
+  }
+  return count ? { x: sumX / count / width, y: sumY / count / height } : null;
+};
+
+/**
+ * garmentFocus - where the garment sits in the image, as { x, y } fractions
+ * plus the `source` used: the inpainting mask when there is one, else a mask
+ * derived from the image itself, else the usual garment region of a
+ * catalog frame (analysis/similarity.js).
+ */
+export const garmentFocus = async (buffer, garmentMask = null) => {
+  const centroid = garmentMask && maskCentroid(garmentMask);
+  if (centroid) return { ...centroid, source: "mask" };
+
+  try {
+    const small = await sharp(buffer).resize({ width: FOCUS_WIDTH }).png().toBuffer();
+    const derived = await deriveGarmentMask(small);
+    if (derived.coverage <= MAX_FOCUS_COVERAGE) {
+      const derivedCentroid = maskCentroid(derived);
+      if (derivedCentroid) return { ...derivedCentroid, source: "derived" };
+    }
+  } catch {
+    // Too little foreground to find a garment - fall through to the default
+  }
+
+  const region = GARMENT_REGIONS.generated;
+  return { x: region.left + region.width / 2, y: region.top + region.height / 2, source: "default" };
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Largest square around the focus point, kept inside the image
+const squareCrop = (width, height, focus) => {
+  const side = Math.min(width, height);
+  return {
+    left: Math.round(clamp(focus.x * width - side / 2, 0, width - side)),
+    top: Math.round(clamp(focus.y * height - side / 2, 0, height - side)),
+    width: side,
+    height: side,
+  };
+};
+
+const formatOptions = (format, quality) =>
+  format === "png" ? { compressionLevel: 9 } : { quality, ...(format === "jpeg" ? { mozjpeg: true } : {}) };
+
+/**
+ * createDerivatives - renders the named derivatives from the lossless model
+ * output. `aspectRatio` is the frame of the main image (framing or output
+ * profile crop), applied to every non-square derivative; `garmentMask` is
+ * the inpainting mask, used to place the square crop.
+ *
+ * Resolves with { items, focus, durationMs }; each item is
+ * { name, label, mimeType, width, height, sizeBytes, imageBase64 }.
+ */
+export const createDerivatives = async (sourceBuffer, names, { aspectRatio = null, garmentMask = null } = {}) => {
+  const startedAt = Date.now();
+  const { width, height } = await sharp(sourceBuffer).metadata();
+  const ratio = parseAspectRatio(aspectRatio);
+  const frame = ratio ? centreCrop(width, height, ratio) : null;
+  const focus = names.some((name) => DERIVATIVES[name].square)
+    ? await garmentFocus(sourceBuffer, garmentMask)
+    : null;
+
+  const items = [];
+  for (const name of names) {
+    const spec = DERIVATIVES[name];
+    const crop = spec.square ? squareCrop(width, height, focus) : frame;
+    let image = sharp(sourceBuffer);
+    if (crop) image = image.extract(crop);
+    const { data, info } = await image
+      .resize({ width: spec.width })
+      .toFormat(spec.format, formatOptions(spec.format, spec.quality))
+      .toBuffer({ resolveWithObject: true });
+
+    items.push({
+      name,
+      label: spec.label,
+      mimeType: MIME_TYPES[spec.format],
+      width: info.width,
+      height: info.height,
+      sizeBytes: data.length,
+      imageBase64: data.toString("base64"),
+    });
+  }
+
+  const durationMs = Date.now() - startedAt;
+  console.log(`🖼️ Derivatives: ${items.map((item) => `${item.name} ${item.width}x${item.height}`).join(", ")} in ${durationMs}ms`);
+  return {
+    items,
+    focus: focus && { x: Math.round(focus.x * 1000) / 1000, y: Math.round(focus.y * 1000) / 1000, source: focus.source },
+    durationMs,
+  };
+};
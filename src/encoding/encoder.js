@@ -0,0 +1,255 @@
+import sharp from "sharp";
+
+// Width search granularity; finer steps cost encodes without visible benefit
+const WIDTH_STEP = 50;
+
+export const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  avif: "image/avif",
+  png: "image/png",
+};
+
+export const parseAspectRatio = (aspectRatio) => {
+  if (!aspectRatio) return null;
+  const [w, h] = String(aspectRatio).split(":").map(Number);
+  return w > 0 && h > 0 ? h / w : null;
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Widths are snapped to a multiple of the ratio's width term (3 for 3:4, 9
+// for 9:16) so the height is a whole number and the output ratio is exact
+const widthStep = (aspectRatio) => {
+  const [w, h] = String(aspectRatio).split(":").map(Number);
+  return w / gcd(w, h);
+};
+
+// Largest centred region of the source with the requested height/width ratio
+export const centreCrop = (width, height, ratio) => {
+  if (height / width > ratio) {
+    const cropHeight = Math.round(width * ratio);
+    return { left: 0, top: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+  }
+  const cropWidth = Math.round(height / ratio);
+  return { left: Math.round((width - cropWidth) / 2), top: 0, width: cropWidth, height };
+};
+
+// Default encoder effort for webp / avif
+const EFFORT = 4;
+
+export const formatOptions = (format, quality, effort = EFFORT) => {
+  switch (format) {
+    case "webp":
+      return { quality, effort };
+    case "avif":
+      return { quality, effort };
+    case "png":
+      return { compressionLevel: 9 };
+    default:
+      return { quality, mozjpeg: true, chromaSubsampling: "4:4:4" };
+  }
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+
+/**
+ * encodeToProfile - converts the model output into the profile's format and
+ * size band with as few encodes as possible.
+ *
+ * The source is decoded (and cropped to the profile's aspect ratio) once;
+ * each candidate width is resized once from that raw buffer. The search:
+ *   1. encode at the profile's start width / quality - done if in band
+ *   2. binary-search quality at that width
+ *   3. if quality alone can't reach the band, binary-search width at the
+ *      quality limit, then re-search quality at the boundary width
+ *
+ * Profiles with a `searchEffort` (AVIF, where a full-effort encode takes
+ * seconds) probe at that lower effort and re-encode the chosen width / quality
+ * once at full effort; the full-effort encode is kept unless it lands further
+ * from the band than the probe did.
+ *
+ * Never fails because the band was missed: it returns the closest encode
+ * seen, with `withinTarget: false` and a warning message. `stats` reports
+ * the encode count and timings for debugInfo.
+ */
+export const encodeToProfile = async (sourceBuffer, profile) => {
+  const startedAt = Date.now();
+  const hasQuality = !!profile.quality;
+  const ratio = parseAspectRatio(profile.aspectRatio);
+  const step = ratio ? widthStep(profile.aspectRatio) : 1;
+
+  console.log("\n🔄 STARTING IMAGE ENCODING:");
+  console.log(`- Profile: ${profile.name} (${profile.format})`);
+  console.log(`- Target size: ${toMB(profile.minBytes)}MB - ${toMB(profile.maxBytes)}MB`);
+
+  /* ---------------- Decode once ---------------- */
+  const decoded = await sharp(sourceBuffer).raw().toBuffer({ resolveWithObject: true });
+  const raw = {
+    width: decoded.info.width,
+    height: decoded.info.height,
+    channels: decoded.info.channels,
+  };
+  const crop = ratio ? centreCrop(raw.width, raw.height, ratio) : null;
+  const decodeMs = Date.now() - startedAt;
+
+  // Only the current width's pixels are kept, to bound memory at large sizes
+  let resized = null;
+  const resizeTo = async (width) => {
+    if (resized?.width !== width) {
+      let image = sharp(decoded.data, { raw });
+      if (crop) image = image.extract(crop);
+      const exactWidth = Math.max(step, Math.floor(width / step) * step);
+      const { data, info } = await image
+        .resize(ratio ? { width: exactWidth, height: Math.round(exactWidth * ratio), fit: "fill" } : { width })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      resized = { width, data, info };
+    }
+    return resized;
+  };
+
+  /* ---------------- Probing ---------------- */
+  const steps = [];
+  const probes = new Map();
+  let best = null;
+
+  const distance = (size) =>
+    size < profile.minBytes
+      ? profile.minBytes - size
+      : Math.max(0, size - profile.maxBytes);
+
+  const encode = async (width, quality, effort) => {
+    const { data, info } = await resizeTo(width);
+    const buffer = await sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels },
+    })
+      .toFormat(profile.format, formatOptions(profile.format, quality, effort))
+      .toBuffer();
+
+    return {
+      buffer,
+      requestedWidth: width,
+      width: info.width,
+      height: info.height,
+      quality,
+      size: buffer.length,
+      distance: distance(buffer.length),
+    };
+  };
+
+  const probe = async (width, quality) => {
+    const key = `${width}:${quality}`;
+    if (probes.has(key)) return probes.get(key);
+
+    const result = await encode(width, quality, profile.searchEffort);
+    probes.set(key, result);
+    steps.push({ width: result.width, quality, sizeBytes: result.size });
+    console.log(`  Encode ${steps.length}: ${toMB(result.size)}MB (width: ${width}px${hasQuality ? `, quality: ${quality}%` : ""})`);
+
+    if (
+      !best ||
+      result.distance < best.distance ||
+      (result.distance === best.distance && (quality ?? 0) > (best.quality ?? 0))
+    ) {
+      best = result;
+    }
+    return result;
+  };
+
+  // Returns the first in-band probe, else the last probe made
+  const searchQuality = async (width, lo, hi) => {
+    let last = null;
+    while (lo <= hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      last = await probe(width, mid);
+      if (last.distance === 0) return last;
+      if (last.size > profile.maxBytes) hi = mid - 1;
+      else lo = mid + 1;
+    }
+    return last;
+  };
+
+  // Returns { hit } or the closest probes below / above the band
+  const searchWidth = async (lo, hi, quality) => {
+    let below = null;
+    let above = null;
+    let loStep = 0;
+    let hiStep = Math.floor((hi - lo) / WIDTH_STEP);
+    while (loStep <= hiStep) {
+      const mid = Math.floor((loStep + hiStep) / 2);
+      const result = await probe(lo + mid * WIDTH_STEP, quality);
+      if (result.distance === 0) return { hit: result };
+      if (result.size > profile.maxBytes) {
+        above = result;
+        hiStep = mid - 1;
+      } else {
+        below = result;
+        loStep = mid + 1;
+      }
+    }
+    return { below, above };
+  };
+
+  /* ---------------- Search ---------------- */
+  const width = clamp(profile.width, profile.minWidth, profile.maxWidth);
+  const q = hasQuality ? profile.quality : null;
+  let result = await probe(width, hasQuality ? clamp(q.start, q.min, q.max) : null);
+
+  if (result.distance !== 0 && hasQuality) {
+    result = result.size < profile.minBytes
+      ? await searchQuality(width, result.quality + 1, q.max)
+      : await searchQuality(width, q.min, result.quality - 1);
+    result = result || best;
+  }
+
+  if (result.distance !== 0) {
+    const growing = result.size < profile.minBytes;
+    const limitQuality = hasQuality ? (growing ? q.max : q.min) : null;
+    const { hit, below, above } = growing
+      ? await searchWidth(width + WIDTH_STEP, profile.maxWidth, limitQuality)
+      : await searchWidth(profile.minWidth, width - WIDTH_STEP, limitQuality);
+
+    // The band sits between two widths at the quality limit - tune quality there
+    const boundary = growing ? above : below;
+    if (!hit && boundary && hasQuality) {
+      await searchQuality(boundary.width, q.min, q.max);
+    }
+  }
+
+  if (profile.searchEffort !== undefined) {
+    const final = await encode(best.requestedWidth, best.quality);
+    steps.push({ width: final.width, quality: final.quality, sizeBytes: final.size, final: true });
+    console.log(`  Final encode: ${toMB(final.size)}MB at full effort`);
+    if (final.distance <= best.distance) best = final;
+  }
+
+  const withinTarget = best.distance === 0;
+  const stats = {
+    iterations: steps.length,
+    decodeMs,
+    durationMs: Date.now() - startedAt,
+    steps,
+  };
+
+  console.log(
+    `  ${withinTarget ? "✅" : "⚠️"} ${toMB(best.size)}MB after ${stats.iterations} encode(s) in ${stats.durationMs}ms`,
+  );
+
+  return {
+    buffer: best.buffer,
+    mimeType: MIME_TYPES[profile.format],
+    format: profile.format,
+    width: best.width,
+    height: best.height,
+    quality: best.quality,
+    sizeBytes: best.size,
+    withinTarget,
+    stats,
+    warning: withinTarget
+      ? null
+      : `Output is ${toMB(best.size)}MB, outside the ${profile.name} profile target of ${toMB(profile.minBytes)}–${toMB(profile.maxBytes)}MB; returning the closest result.`,
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Named output encoding profiles, selectable per request with `outputProfile`.
+ *
+ *   format        jpeg | webp | avif | png
+ *   minBytes      lower bound of the target file size
+ *   maxBytes      upper bound of the target file size
+ *   width         starting width in px
+ *   minWidth      the encoder never goes below this width
+ *   maxWidth      ...or above this one
+ *   quality       { start, min, max } (ignored for png)
+ *   searchEffort  encoder effort for the size search, when full effort is
+ *                 too slow to repeat (see encodeToProfile)
+ *   aspectRatio   "w:h" centre crop applied before encoding, or null to keep
+ *                 the model's framing (a request's `framing` / `aspectRatio`
+ *                 replaces it)
+ */
+
+const KB = 1024;
+const MB = 1024 * 1024;
+
+export const DEFAULT_OUTPUT_PROFILE = "catalog";
+
+export const OUTPUT_PROFILES = {
+  // The original 1–3 MB catalog JPEG
+  catalog: {
+    label: "Catalog master (1–3 MB JPEG)",
+    format: "jpeg",
+    minBytes: 1 * MB,
+    maxBytes: 3 * MB,
+    width: 2800,
+    minWidth: 2000,
+    maxWidth: 4000,
+    quality: { start: 94, min: 80, max: 98 },
+    aspectRatio: null,
+  },
+  amazon: {
+    label: "Amazon listing (JPEG, ≥1600px, under 10 MB)",
+    format: "jpeg",
+    minBytes: 500 * KB,
+    maxBytes: 9.5 * MB,
+    width: 2000,
+    minWidth: 1600,
+    maxWidth: 3000,
+    quality: { start: 92, min: 80, max: 95 },
+    aspectRatio: null,
+  },
+  shopify: {
+    label: "Shopify product image (2048px square WebP)",
+    format: "webp",
+    minBytes: 200 * KB,
+    maxBytes: 2 * MB,
+    width: 2048,
+    minWidth: 1600,
+    maxWidth: 2048,
+    quality: { start: 88, min: 70, max: 95 },
+    aspectRatio: "1:1",
+  },
+  whatsapp: {
+    label: "WhatsApp preview (small JPEG)",
+    format: "jpeg",
+    minBytes: 80 * KB,
+    maxBytes: 300 * KB,
+    width: 1080,
+    minWidth: 720,
+    maxWidth: 1280,
+    quality: { start: 80, min: 55, max: 88 },
+    aspectRatio: null,
+  },
+  web_avif: {
+    label: "Storefront AVIF",
+    format: "avif",
+    minBytes: 100 * KB,
+    maxBytes: 600 * KB,
+    width: 1600,
+    minWidth: 1200,
+    maxWidth: 2000,
+    quality: { start: 60, min: 40, max: 75 },
+    searchEffort: 0,
+    aspectRatio: null,
+  },
+  print: {
+    label: "Print master (lossless PNG)",
+    format: "png",
+    minBytes: 0,
+    maxBytes: 60 * MB,
+    width: 3600,
+    minWidth: 3000,
+    maxWidth: 4800,
+    quality: null,
+    aspectRatio: null,
+  },
+};
+
+export const OUTPUT_PROFILE_NAMES = Object.keys(OUTPUT_PROFILES);
+
+/**
+ * Profile for a request: the `outputProfile` field, else OUTPUT_PROFILE, else
+ * "catalog". Unknown names (e.g. a mistyped env value) fall back to "catalog".
+ */
+export const resolveOutputProfile = (name) => {
+  const requested = name || process.env.OUTPUT_PROFILE || DEFAULT_OUTPUT_PROFILE;
+  const key = OUTPUT_PROFILES[requested] ? requested : DEFAULT_OUTPUT_PROFILE;
+  return { name: key, ...OUTPUT_PROFILES[key] };
+};
@@ -0,0 +1,168 @@
+import fs from "fs/promises";
+import sharp from "sharp";
+import { centreCrop, parseAspectRatio } from "./encoder.js";
+import { validationError } from "../middleware/validateRequest.js";
+
+/**
+ * Brand watermark stage - a logo and / or text overlay drawn on a copy of the
+ * lossless output, which is then encoded like the clean image and returned
+ * next to it (for buyer previews).
+ *
+ * Form fields (all storable in presets except the upload):
+ *   watermark          "true" turns the stage on
+ *   watermarkLogo      logo upload; else the file at WATERMARK_LOGO
+ *   watermarkText      brand text; else WATERMARK_TEXT
+ *   sku                optional SKU line under the brand text
+ *   watermarkPosition  one of WATERMARK_POSITIONS (bottom-right)
+ *   watermarkOpacity   0–1 (0.35)
+ *   watermarkScale     overlay width as a fraction of the image width (0.2)
+ *
+ * A failed overlay (e.g. an undecodable logo) costs only the watermarked copy:
+ * the generation service reports it as a WATERMARK_FAILED warning.
+ */
+
+export const WATERMARK_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+
+const DEFAULTS = { position: "bottom-right", opacity: 0.35, scale: 0.2 };
+// Distance from the image edge, as a fraction of the image width
+const MARGIN = 0.03;
+// Narrowest overlay worth drawing, in px
+const MIN_OVERLAY_WIDTH = 48;
+
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+/**
+ * resolveWatermark - the watermark settings of a form body, or null when
+ * `watermark` is not "true". Throws a validation error when there is
+ * nothing to draw (no logo, brand text or SKU, uploaded or configured).
+ */
+export const resolveWatermark = (raw = {}, logoFile = null) => {
+  if (raw.watermark !== "true") return null;
+
+  const logoPath = process.env.WATERMARK_LOGO;
+  const text = present(raw.watermarkText) ? raw.watermarkText.trim() : process.env.WATERMARK_TEXT || "";
+  const sku = present(raw.sku) ? raw.sku.trim() : "";
+  if (!logoFile && !logoPath && !text && !sku) {
+    throw validationError([
+      {
+        field: "watermark",
+        message: "needs a watermarkLogo, watermarkText or sku (or a configured WATERMARK_LOGO / WATERMARK_TEXT)",
+      },
+    ]);
+  }
+
+  return {
+    logo: logoFile ? { source: "upload", buffer: logoFile.buffer } : logoPath ? { source: "configured", path: logoPath } : null,
+    text,
+    sku,
+    position: raw.watermarkPosition || DEFAULTS.position,
+    opacity: present(raw.watermarkOpacity) ? parseFloat(raw.watermarkOpacity) : DEFAULTS.opacity,
+    scale: present(raw.watermarkScale) ? parseFloat(raw.watermarkScale) : DEFAULTS.scale,
+  };
+};
+
+// Brand text and SKU as white lines with a soft shadow, `width` px wide
+const renderText = async (lines, width) => {
+  const longest = Math.max(...lines.map((line) => line.length));
+  const fontSize = Math.max(10, Math.min(Math.round(width / (longest * 0.6)), Math.round(width / 4)));
+  const lineHeight = Math.round(fontSize * 1.3);
+  const height = lineHeight * lines.length;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <g font-family="sans-serif" font-weight="bold" font-size="${fontSize}" fill="#ffffff" text-anchor="middle">
+    ${lines
+      .map(
+        (line, i) =>
+          `<text x="${width / 2}" y="${Math.round(lineHeight * (i + 0.8))}" stroke="#000000" stroke-opacity="0.35" stroke-width="${Math.max(1, fontSize / 16)}">${escapeXml(line)}</text>`,
+      )
+      .join("\n    ")}
+  </g>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer({ resolveWithObject: true });
+};
+
+// Logo above the text, centred, as one RGBA block with the opacity applied
+const renderOverlay = async (watermark, width) => {
+  const parts = [];
+  if (watermark.logo) {
+    const source = watermark.logo.buffer || (await fs.readFile(watermark.logo.path));
+    parts.push(await sharp(source).ensureAlpha().resize({ width }).png().toBuffer({ resolveWithObject: true }));
+  }
+  const lines = [watermark.text, watermark.sku && `SKU ${watermark.sku}`].filter(Boolean);
+  if (lines.length) parts.push(await renderText(lines, width));
+
+  const height = parts.reduce((sum, part) => sum + part.info.height, 0);
+  let top = 0;
+  const { data, info } = await sharp({
+    create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+  })
+    .composite(
+      parts.map((part) => {
+        const layer = { input: part.data, left: Math.round((width - part.info.width) / 2), top };
+        top += part.info.height;
+        return layer;
+      }),
+    )
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (let i = 3; i < data.length; i += 4) data[i] = Math.round(data[i] * watermark.opacity);
+  return { data, info };
+};
+
+const placement = (position, image, overlay) => {
+  const margin = Math.round(image.width * MARGIN);
+  const right = image.width - overlay.width - margin;
+  const bottom = image.height - overlay.height - margin;
+  const places = {
+    "top-left": [margin, margin],
+    "top-right": [right, margin],
+    "bottom-left": [margin, bottom],
+    "bottom-right": [right, bottom],
+    center: [(image.width - overlay.width) / 2, (image.height - overlay.height) / 2],
+  };
+  const [left, top] = places[position] || places[DEFAULTS.position];
+  return { left: Math.max(0, Math.round(left)), top: Math.max(0, Math.round(top)) };
+};
+
+/**
+ * applyWatermark - draws the overlay onto the lossless output (model image or
+ * inpainting composite) and resolves with it as PNG, ready for
+ * encodeToProfile with the clean image's profile:
+ * { buffer, width, height, durationMs }.
+ *
+ * `aspectRatio` is the crop that profile will apply; it is applied here first
+ * so the overlay is placed inside the final frame rather than cropped off.
+ */
+export const applyWatermark = async (sourceBuffer, watermark, { aspectRatio = null } = {}) => {
+  const startedAt = Date.now();
+  const { width, height } = await sharp(sourceBuffer).metadata();
+  const ratio = parseAspectRatio(aspectRatio);
+  const crop = ratio ? centreCrop(width, height, ratio) : null;
+  const source = crop ? await sharp(sourceBuffer).extract(crop).png().toBuffer() : sourceBuffer;
+  const image = crop ? { width: crop.width, height: crop.height } : { width, height };
+  const overlayWidth = Math.max(MIN_OVERLAY_WIDTH, Math.round(image.width * watermark.scale));
+  const overlay = await renderOverlay(watermark, Math.min(overlayWidth, image.width));
+  // A tall logo may not fit the frame at the requested width
+  const fitted =
+    overlay.info.height > image.height
+      ? await sharp(overlay.data, { raw: overlay.info }).resize({ height: image.height }).raw().toBuffer({ resolveWithObject: true })
+      : overlay;
+
+  const buffer = await sharp(source)
+    .composite([
+      {
+        input: fitted.data,
+        raw: { width: fitted.info.width, height: fitted.info.height, channels: 4 },
+        ...placement(watermark.position, image, fitted.info),
+      },
+    ])
+    .png()
+    .toBuffer();
+
+  const durationMs = Date.now() - startedAt;
+  console.log(`💧 Watermark: ${watermark.position}, ${Math.round(watermark.opacity * 100)}% opacity in ${durationMs}ms`);
+  return { buffer, width: image.width, height: image.height, durationMs };
+};
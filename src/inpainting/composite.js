@@ -0,0 +1,48 @@
+import sharp from "sharp";
+
+// Feather width (px) inside the mask edge, so the seam isn't a hard cut
+const FEATHER_SIGMA = 2;
+
+/**
+ * compositeGarment - pastes the generated image back onto the original model
+ * photo through the garment mask.
+ *
+ * The generated image is scaled to the photo's size first. Blending weights
+ * are the feathered mask clamped to the hard mask, so the feather only fades
+ * inwards: every pixel outside the mask is copied from the original
+ * unchanged. Returns a lossless PNG plus the number of pixels taken from
+ * the generated image.
+ */
+export const compositeGarment = async (generatedBuffer, originalBuffer, { mask, width, height }) => {
+  const raw = { width, height, channels: 3 };
+  const [generated, original, feathered] = await Promise.all([
+    sharp(generatedBuffer)
+      .removeAlpha()
+      .resize(width, height, { fit: "fill" })
+      .toColourspace("srgb")
+      .raw()
+      .toBuffer(),
+    sharp(originalBuffer).removeAlpha().toColourspace("srgb").raw().toBuffer(),
+    sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(FEATHER_SIGMA)
+      .extractChannel(0)
+      .raw()
+      .toBuffer(),
+  ]);
+
+  const output = Buffer.alloc(width * height * 3);
+  let replaced = 0;
+  for (let p = 0; p < width * height; p++) {
+    const alpha = Math.min(mask[p], feathered[p]) / 255;
+    if (alpha > 0) replaced++;
+    for (let c = 0; c < 3; c++) {
+      const i = p * 3 + c;
+      output[i] = alpha === 0
+        ? original[i]
+        : Math.round(generated[i] * alpha + original[i] * (1 - alpha));
+    }
+  }
+
+  const buffer = await sharp(output, { raw }).png().toBuffer();
+  return { buffer, width, height, replacedPixels: replaced };
+};
@@ -0,0 +1,173 @@
+import sharp from "sharp";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+/**
+ * Garment masks for inpainting mode. A mask is a single-channel raw buffer
+ * the size of the model photo: 255 = garment (repainted), 0 = keep.
+ *
+ * Masks come from the client (`garmentMask` upload, white = garment) or are
+ * derived here from the model photo with a simple heuristic:
+ *   - background = colours close to the photo's border pixels
+ *   - skin = YCbCr skin-tone range (face, arms, hands stay untouched)
+ *   - the head area (top of the figure) is excluded
+ * The derived mask is good enough for studio / plain backgrounds; busy
+ * scenes should upload a mask.
+ */
+
+// Below this share of garment pixels the mask is treated as unusable
+const MIN_COVERAGE = 0.02;
+// Colour distance from the border median that still counts as background
+const BACKGROUND_TOLERANCE = 40;
+// Share of the figure's height above the garment (head and neck)
+const HEAD_FRACTION = 0.18;
+
+const coverageOf = (mask) => {
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) if (mask[i]) count++;
+  return count / mask.length;
+};
+
+const emptyMaskError = (source, coverage) =>
+  new ApiError(
+    422,
+    ErrorCodes.GARMENT_MASK_EMPTY,
+    source === "derived"
+      ? "Could not find the garment region in referenceImage2. Upload a garmentMask instead."
+      : "garmentMask does not mark any garment region.",
+    { source, coverage },
+  );
+
+/**
+ * loadGarmentMask - scales an uploaded mask to `width` x `height` and
+ * thresholds it. Transparent pixels count as "keep".
+ */
+export const loadGarmentMask = async (maskFile, { width, height }) => {
+  let data;
+  try {
+    data = await sharp(maskFile.buffer)
+      .rotate()
+      .flatten({ background: "#000000" })
+      .resize(width, height, { fit: "fill" })
+      .greyscale()
+      .raw()
+      .toBuffer();
+  } catch (error) {
+    throw new ApiError(422, ErrorCodes.INVALID_IMAGE, "garmentMask is not a decodable image.", {
+      field: "garmentMask",
+      mimetype: maskFile.mimetype,
+      reason: error.message,
+    });
+  }
+
+  const mask = Buffer.alloc(width * height);
+  for (let i = 0; i < mask.length; i++) mask[i] = data[i] > 127 ? 255 : 0;
+
+  const coverage = coverageOf(mask);
+  if (coverage < MIN_COVERAGE) throw emptyMaskError("upload", coverage);
+  return { mask, width, height, source: "upload", coverage };
+};
+
+const isSkin = (r, g, b) => {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+};
+
+const borderMedian = (pixels, width, height, channels) => {
+  const samples = [[], [], []];
+  const push = (x, y) => {
+    const i = (y * width + x) * channels;
+    for (let c = 0; c < 3; c++) samples[c].push(pixels[i + c]);
+  };
+  for (let x = 0; x < width; x++) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    push(0, y);
+    push(width - 1, y);
+  }
+  return samples.map((values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]);
+};
+
+/**
+ * deriveGarmentMask - heuristic garment mask for the model photo buffer.
+ */
+export const deriveGarmentMask = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const background = borderMedian(data, width, height, channels);
+
+  // Foreground (not background) and its vertical extent
+  const mask = Buffer.alloc(width * height);
+  let top = height;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * channels;
+      const distance = Math.hypot(
+        data[i] - background[0],
+        data[i + 1] - background[1],
+        data[i + 2] - background[2],
+      );
+      if (distance > BACKGROUND_TOLERANCE) {
+        mask[y * width + x] = 255;
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  // Drop the head area and skin-toned pixels
+  const headEnd = bottom < 0 ? height : top + Math.round((bottom - top) * HEAD_FRACTION);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (!mask[p]) continue;
+      const i = p * channels;
+      if (y < headEnd || isSkin(data[i], data[i + 1], data[i + 2])) mask[p] = 0;
+    }
+  }
+
+  // Median filter removes speckles along fabric highlights and edges
+  const cleaned = await sharp(mask, { raw: { width, height, channels: 1 } })
+    .median(5)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  const coverage = coverageOf(cleaned);
+  if (coverage < MIN_COVERAGE) throw emptyMaskError("derived", coverage);
+  return { mask: cleaned, width, height, source: "derived", coverage };
+};
+
+/**
+ * resolveGarmentMask - the uploaded mask (scaled to the model photo) or, when
+ * none was uploaded, one derived from the model photo itself.
+ */
+export const resolveGarmentMask = async (modelPhoto, maskFile) => {
+  let size;
+  try {
+    const { width, height } = await sharp(modelPhoto.buffer).metadata();
+    size = { width, height };
+  } catch (error) {
+    throw new ApiError(
+      422,
+      ErrorCodes.INVALID_IMAGE,
+      "referenceImage2 could not be decoded for inpainting.",
+      { field: "referenceImage2", mimetype: modelPhoto.mimetype, reason: error.message },
+    );
+  }
+  return maskFile ? loadGarmentMask(maskFile, size) : deriveGarmentMask(modelPhoto.buffer);
+};
+
+/**
+ * maskToPng - the mask as a PNG, for sending to the model alongside the
+ * model photo.
+ */
+export const maskToPng = ({ mask, width, height }) =>
+  sharp(mask, { raw: { width, height, channels: 1 } }).png().toBuffer();
@@ -0,0 +1,36 @@
+import fs from "fs/promises";
+import { entryPath, readJson, writeJson } from "../config/storage.js";
+
+/**
+ * FileJobStore - keeps one JSON file per job in `dir`. Survives restarts and
+ * can be shared by several processes on the same disk.
+ */
+export class FileJobStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return entryPath(this.dir, id, ".json");
+  }
+
+  async create(job) {
+    const file = this.filePath(job.id);
+    if (!file) throw new Error(`Invalid job id "${job.id}"`);
+    await fs.mkdir(this.dir, { recursive: true });
+    await writeJson(file, job);
+    return job;
+  }
+
+  async get(id) {
+    return readJson(this.filePath(id));
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) return null;
+    const updated = { ...job, ...patch };
+    await writeJson(this.filePath(id), updated);
+    return updated;
+  }
+}
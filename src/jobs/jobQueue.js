@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import path from "path";
+import { DATA_DIR } from "../config/storage.js";
+import { positiveIntEnv } from "../config/env.js";
+import { ErrorCodes, serializeError, toApiError } from "../utils/errors.js";
+import { FileJobStore } from "./fileJobStore.js";
+import { MemoryJobStore } from "./jobStore.js";
+
+/**
+ * In-process job queue for long-running generations.
+ *
+ * Jobs are recorded in a pluggable store (JOB_STORE=memory|file, or any
+ * custom store passed to setJobStore) and executed in this process with at
+ * most JOB_CONCURRENCY running at once. Note that on serverless platforms the
+ * function instance must stay alive for queued work to finish, so async mode
+ * is best suited to `npm start` deployments.
+ */
+
+const JOB_CONCURRENCY = positiveIntEnv("JOB_CONCURRENCY", 1);
+
+const createDefaultStore = () => {
+  if (process.env.JOB_STORE === "file") {
+    return new FileJobStore({
+      dir: process.env.JOB_STORE_DIR || path.join(DATA_DIR, "jobs"),
+    });
+  }
+  return new MemoryJobStore();
+};
+
+let store = null;
+
+export const getJobStore = () => {
+  if (!store) store = createDefaultStore();
+  return store;
+};
+
+export const setJobStore = (customStore) => {
+  store = customStore;
+};
+
+const pending = [];
+let running = 0;
+
+const now = () => new Date().toISOString();
+
+const updateJob = async (id, patch) => {
+  try {
+    await getJobStore().update(id, { ...patch, updatedAt: now() });
+  } catch (error) {
+    console.log(`❌ Failed to update job ${id}:`, error.message);
+  }
+};
+
+const runJob = async ({ id, task }) => {
+  await updateJob(id, { status: "running", stage: "started", startedAt: now() });
+
+  try {
+    const result = await task({
+      setStage: (stage) => updateJob(id, { stage }),
+    });
+    await updateJob(id, {
+      status: "succeeded",
+      stage: "completed",
+      finishedAt: now(),
+      result,
+    });
+    console.log(`✅ JOB ${id} SUCCEEDED`);
+  } catch (error) {
+    const apiError = toApiError(error, {
+      code: ErrorCodes.GENERATION_FAILED,
+      message: "Failed to generate image.",
+    });
+    console.log(`❌ JOB ${id} FAILED: ${apiError.code}`);
+    await updateJob(id, {
+      status: "failed",
+      finishedAt: now(),
+      error: { statusCode: apiError.status, ...serializeError(apiError) },
+    });
+  }
+};
+
+const drain = () => {
+  while (running < JOB_CONCURRENCY && pending.length > 0) {
+    const next = pending.shift();
+    running++;
+    runJob(next).finally(() => {
+      running--;
+      drain();
+    });
+  }
+};
+
+/**
+ * enqueueJob - records a queued job and schedules `task({ setStage })`.
+ * Resolves with the stored job record as soon as it is queued.
+ */
+export const enqueueJob = async (task) => {
+  const createdAt = now();
+  const job = await getJobStore().create({
+    id: crypto.randomUUID(),
+    status: "queued",
+    stage: "queued",
+    createdAt,
+    updatedAt: createdAt,
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  });
+
+  pending.push({ id: job.id, task });
+  drain();
+
+  return job;
+};
+
+export const getJob = (id) => getJobStore().get(id);
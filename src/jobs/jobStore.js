@@ -0,0 +1,56 @@
+import { positiveIntEnv } from "../config/env.js";
+
+/**
+ * Job storage interface.
+ *
+ * Any object with these async methods can back the job queue (see
+ * setJobStore in jobQueue.js), e.g. a Redis or database adapter:
+ *
+ *   create(job)        → job        persist a new job record
+ *   get(id)            → job | null
+ *   update(id, patch)  → job | null shallow-merge `patch` into the record
+ *
+ * Job records are plain JSON:
+ *   { id, status, stage, createdAt, updatedAt, startedAt, finishedAt, result, error }
+ */
+
+const JOB_TTL_MS = positiveIntEnv("JOB_TTL_MINUTES", 60) * 60 * 1000;
+
+/**
+ * MemoryJobStore - default store. Jobs live in the process and finished jobs
+ * are dropped after JOB_TTL_MINUTES so results don't accumulate forever.
+ */
+export class MemoryJobStore {
+  constructor({ ttlMs = JOB_TTL_MS } = {}) {
+    this.jobs = new Map();
+    this.ttlMs = ttlMs;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  async create(job) {
+    this.prune();
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    const updated = { ...job, ...patch };
+    this.jobs.set(id, updated);
+    return { ...updated };
+  }
+}
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import {
+  DATA_DIR,
+  entryPath,
+  imageFileName,
+  listEntries,
+  readJson,
+  writeJson,
+} from "../config/storage.js";
+
+/**
+ * Model-reference library storage interface.
+ *
+ * Saved model / pose photos for MODEL_REFERENCE_BASED generation. Any object
+ * with these async methods can back the library (see
+ * setModelReferenceStore), e.g. an S3 or database adapter:
+ *
+ *   create({ buffer, mimetype, name, tags, width, height }) → record
+ *   list({ tag })          → record[]        newest first, optionally by tag
+ *   get(id)                → record | null
+ *   getImage(id)           → { buffer, mimetype } | null
+ *   update(id, patch)      → record | null   patch: { name?, tags? }
+ *   delete(id)             → boolean
+ *
+ * Records are plain JSON:
+ *   { id, name, tags, mimetype, width, height, sizeBytes, createdAt, updatedAt }
+ */
+
+const now = () => new Date().toISOString();
+
+/**
+ * FileModelReferenceStore - one directory per reference in `dir`, holding
+ * meta.json and the image file. Note that on Vercel DATA_DIR is /tmp, so the
+ * library only lasts as long as the function instance; point
+ * MODEL_REFERENCE_DIR at persistent storage (or plug in another store) there.
+ */
+export class FileModelReferenceStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  entryDir(id) {
+    return entryPath(this.dir, id);
+  }
+
+  async readMeta(id) {
+    const dir = this.entryDir(id);
+    return dir ? readJson(path.join(dir, "meta.json")) : null;
+  }
+
+  async writeMeta(record) {
+    await writeJson(path.join(this.entryDir(record.id), "meta.json"), record);
+  }
+
+  async create({ buffer, mimetype, name, tags = [], width = null, height = null }) {
+    const id = crypto.randomUUID();
+    const dir = this.entryDir(id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const record = {
+      id,
+      name,
+      tags,
+      mimetype,
+      width,
+      height,
+      sizeBytes: buffer.length,
+      createdAt: now(),
+      updatedAt: now(),
+    };
+    await fs.writeFile(path.join(dir, imageFileName("image", mimetype)), buffer);
+    await this.writeMeta(record);
+    return record;
+  }
+
+  async list({ tag } = {}) {
+    const ids = await listEntries(this.dir);
+    const records = (await Promise.all(ids.map((id) => this.readMeta(id)))).filter(Boolean);
+    return records
+      .filter((record) => !tag || record.tags.includes(tag))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(id) {
+    return this.readMeta(id);
+  }
+
+  async getImage(id) {
+    const record = await this.readMeta(id);
+    if (!record) return null;
+    const file = path.join(this.entryDir(id), imageFileName("image", record.mimetype));
+    return { buffer: await fs.readFile(file), mimetype: record.mimetype };
+  }
+
+  async update(id, patch) {
+    const record = await this.readMeta(id);
+    if (!record) return null;
+    const updated = {
+      ...record,
+      ...(patch.name !== undefined ? { name: patch.name } : {}),
+      ...(patch.tags !== undefined ? { tags: patch.tags } : {}),
+      updatedAt: now(),
+    };
+    await this.writeMeta(updated);
+    return updated;
+  }
+
+  async delete(id) {
+    if (!(await this.readMeta(id))) return false;
+    await fs.rm(this.entryDir(id), { recursive: true, force: true });
+    return true;
+  }
+}
+
+let store = null;
+
+export const getModelReferenceStore = () => {
+  if (!store) {
+    store = new FileModelReferenceStore({
+      dir: process.env.MODEL_REFERENCE_DIR || path.join(DATA_DIR, "model-references"),
+    });
+  }
+  return store;
+};
+
+export const setModelReferenceStore = (customStore) => {
+  store = customStore;
+};
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import {
+  DATA_DIR,
+  entryPath,
+  imageFileName,
+  listEntries,
+  readJson,
+  writeJson,
+} from "../config/storage.js";
+
+/**
+ * Model persona storage interface.
+ *
+ * Named model identities (ethnicity, build, height, skin tone, default
+ * styling, optional face photo) that keep the same model across a catalog
+ * set. Any object with these async methods can back the library (see
+ * setPersonaStore):
+ *
+ *   create(fields, face?)  → persona          face: { buffer, mimetype, width, height }
+ *   list()                 → persona[]        sorted by name
+ *   get(id)                → persona | null
+ *   getFaceImage(id)       → { buffer, mimetype } | null
+ *   update(id, patch)      → persona | null   shallow-merge of persona fields
+ *   setFaceImage(id, face) → persona | null   face = null removes the photo
+ *   delete(id)             → boolean
+ *
+ * Personas are plain JSON:
+ *   { id, name, ethnicity, build, height, skinTone, hair, expression,
+ *     accessories, description, face: { mimetype, width, height, sizeBytes } | null,
+ *     createdAt, updatedAt }
+ */
+
+const now = () => new Date().toISOString();
+
+const faceFile = (mimetype) => imageFileName("face", mimetype);
+
+/**
+ * FilePersonaStore - one directory per persona in `dir`, holding meta.json
+ * and the optional face photo. Like the other file stores it only persists
+ * for the function instance on Vercel; point PERSONA_DIR at persistent
+ * storage (or plug in another store) there.
+ */
+export class FilePersonaStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  entryDir(id) {
+    return entryPath(this.dir, id);
+  }
+
+  async readMeta(id) {
+    const dir = this.entryDir(id);
+    return dir ? readJson(path.join(dir, "meta.json")) : null;
+  }
+
+  async writeMeta(persona) {
+    await writeJson(path.join(this.entryDir(persona.id), "meta.json"), persona);
+  }
+
+  async writeFace(id, face) {
+    await fs.writeFile(path.join(this.entryDir(id), faceFile(face.mimetype)), face.buffer);
+    return {
+      mimetype: face.mimetype,
+      width: face.width ?? null,
+      height: face.height ?? null,
+      sizeBytes: face.buffer.length,
+    };
+  }
+
+  async create(fields, face = null) {
+    const id = crypto.randomUUID();
+    await fs.mkdir(this.entryDir(id), { recursive: true });
+
+    const persona = {
+      ...fields,
+      id,
+      face: face ? await this.writeFace(id, face) : null,
+      createdAt: now(),
+      updatedAt: now(),
+    };
+    await this.writeMeta(persona);
+    return persona;
+  }
+
+  async list() {
+    const ids = await listEntries(this.dir);
+    const personas = (await Promise.all(ids.map((id) => this.readMeta(id)))).filter(Boolean);
+    return personas.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    return this.readMeta(id);
+  }
+
+  async getFaceImage(id) {
+    const persona = await this.readMeta(id);
+    if (!persona?.face) return null;
+    const file = path.join(this.entryDir(id), faceFile(persona.face.mimetype));
+    return { buffer: await fs.readFile(file), mimetype: persona.face.mimetype };
+  }
+
+  async update(id, patch) {
+    const persona = await this.readMeta(id);
+    if (!persona) return null;
+    const updated = { ...persona, ...patch, id, face: persona.face, updatedAt: now() };
+    await this.writeMeta(updated);
+    return updated;
+  }
+
+  async setFaceImage(id, face) {
+    const persona = await this.readMeta(id);
+    if (!persona) return null;
+    if (persona.face) {
+      await fs.rm(path.join(this.entryDir(id), faceFile(persona.face.mimetype)), { force: true });
+    }
+    const updated = {
+      ...persona,
+      face: face ? await this.writeFace(id, face) : null,
+      updatedAt: now(),
+    };
+    await this.writeMeta(updated);
+    return updated;
+  }
+
+  async delete(id) {
+    if (!(await this.readMeta(id))) return false;
+    await fs.rm(this.entryDir(id), { recursive: true, force: true });
+    return true;
+  }
+}
+
+let store = null;
+
+export const getPersonaStore = () => {
+  if (!store) {
+    store = new FilePersonaStore({
+      dir: process.env.PERSONA_DIR || path.join(DATA_DIR, "personas"),
+    });
+  }
+  return store;
+};
+
+export const setPersonaStore = (customStore) => {
+  store = customStore;
+};
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { DATA_DIR, entryPath, listEntries, readJson, writeJson } from "../config/storage.js";
+
+/**
+ * Generation preset storage interface.
+ *
+ * Named sets of form fields operators reuse across requests. Any object with
+ * these async methods can back presets (see setPresetStore):
+ *
+ *   create({ name, description, fields }) → preset
+ *   list()                 → preset[]        sorted by name
+ *   get(id)                → preset | null
+ *   update(id, patch)      → preset | null   shallow-merge { name, description, fields }
+ *   delete(id)             → boolean
+ *
+ * Presets are plain JSON:
+ *   { id, name, description, fields, createdAt, updatedAt }
+ */
+
+const now = () => new Date().toISOString();
+
+/**
+ * FilePresetStore - one JSON file per preset in `dir`.
+ */
+export class FilePresetStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return entryPath(this.dir, id, ".json");
+  }
+
+  async create({ name, description = "", fields = {} }) {
+    const preset = {
+      id: crypto.randomUUID(),
+      name,
+      description,
+      fields,
+      createdAt: now(),
+      updatedAt: now(),
+    };
+    await fs.mkdir(this.dir, { recursive: true });
+    await writeJson(this.filePath(preset.id), preset);
+    return preset;
+  }
+
+  async list() {
+    const names = await listEntries(this.dir);
+    const presets = await Promise.all(
+      names
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => this.get(path.basename(name, ".json"))),
+    );
+    return presets.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    return readJson(this.filePath(id));
+  }
+
+  async update(id, patch) {
+    const preset = await this.get(id);
+    if (!preset) return null;
+    const updated = { ...preset, ...patch, id, updatedAt: now() };
+    await writeJson(this.filePath(id), updated);
+    return updated;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    if (!file || !(await this.get(id))) return false;
+    await fs.rm(file, { force: true });
+    return true;
+  }
+}
+
+let store = null;
+
+export const getPresetStore = () => {
+  if (!store) {
+    store = new FilePresetStore({
+      dir: process.env.PRESET_DIR || path.join(DATA_DIR, "presets"),
+    });
+  }
+  return store;
+};
+
+export const setPresetStore = (customStore) => {
+  store = customStore;
+};
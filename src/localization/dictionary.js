@@ -0,0 +1,392 @@
+/**
+ * Local term dictionary for the dictionary translator (localization/index.js).
+ *
+ * Each language maps source phrases to English. Entries cover the saree and
+ * catalog-shoot vocabulary operators actually type plus the common
+ * connective words; an empty translation drops the word (postpositions and
+ * auxiliaries such as "ka", "hai" that have no place in the English prompt).
+ * Multi-word phrases win over the single words inside them.
+ */
+
+/* ---------------------------- Hindi ---------------------------- */
+const hi = {
+  // Garment
+  "साड़ी": "saree",
+  "साडी": "saree",
+  "पल्लू": "pallu",
+  "आँचल": "pallu",
+  "आंचल": "pallu",
+  "प्लीट्स": "pleats",
+  "चुन्नट": "pleats",
+  "ज़री": "zari",
+  "जरी": "zari",
+  "ब्लाउज़": "blouse",
+  "ब्लाउज": "blouse",
+  "बॉर्डर": "border",
+  "किनारा": "border",
+  "किनारी": "border",
+  "बूटी": "motifs",
+  "बूटे": "motifs",
+  "दुपट्टा": "dupatta",
+  "कढ़ाई": "embroidery",
+  "रेशम": "silk",
+  "सिल्क": "silk",
+  "सूती": "cotton",
+  // Pose
+  "पीछे से": "from behind",
+  "पीछे": "back",
+  "पीठ": "back",
+  "पल्लू फैलाए": "pallu spread",
+  "पल्लू फैलाते हुए": "pallu spread",
+  "पल्लू दिखाते हुए": "showing pallu",
+  "फैलाए": "spread",
+  "फैला": "spread",
+  "दिखाते हुए": "showing",
+  "आईना": "mirror",
+  "आईने": "mirror",
+  "शीशा": "mirror",
+  "शीशे": "mirror",
+  "खाना बनाते हुए": "cooking",
+  "खाना बनाती": "cooking",
+  "सब्ज़ी काटते हुए": "cutting vegetables",
+  "सब्जी काटते हुए": "cutting vegetables",
+  "चाय पीते हुए": "sipping tea",
+  "चाय": "tea",
+  "कॉफ़ी": "coffee",
+  "कॉफी": "coffee",
+  "कप": "cup",
+  "लैपटॉप": "laptop",
+  "ज़ूम": "zoom",
+  "क्लोज़ अप": "close-up",
+  "क्लोज अप": "close-up",
+  "बैठी हुई": "sitting",
+  "बैठी": "sitting",
+  "बैठे": "sitting",
+  "खड़ी": "standing",
+  "खड़े": "standing",
+  "चलते हुए": "walking",
+  "चलती": "walking",
+  "मुस्कुराते हुए": "smiling",
+  "मुस्कान": "smile",
+  "पोज़": "pose",
+  "पोज": "pose",
+  // Location
+  "रसोई में": "in kitchen",
+  "रसोई": "kitchen",
+  "घर में": "at home",
+  "घर": "home",
+  "बैठक": "living room",
+  "ड्राइंग रूम": "living room",
+  "दफ़्तर": "office",
+  "दफ्तर": "office",
+  "ऑफिस": "office",
+  "मंदिर": "temple",
+  "बगीचा": "garden",
+  "बगीचे": "garden",
+  "बालकनी": "balcony",
+  // Colours
+  "लाल": "red",
+  "हरा": "green",
+  "हरी": "green",
+  "नीला": "blue",
+  "नीली": "blue",
+  "पीला": "yellow",
+  "पीली": "yellow",
+  "सुनहरा": "golden",
+  "सुनहरी": "golden",
+  "सफ़ेद": "white",
+  "सफेद": "white",
+  "काला": "black",
+  "काली": "black",
+  "रंग": "colour",
+  // Connectives
+  "के साथ": "with",
+  "के पास": "near",
+  "के सामने": "in front of",
+  "सामने": "in front",
+  "में": "in",
+  "पर": "on",
+  "और": "and",
+  "बिना": "without",
+  "नहीं": "not",
+  "चाहिए": "",
+  "का": "",
+  "की": "",
+  "के": "",
+  "है": "",
+  "हैं": "",
+  "हुए": "",
+  "हुई": "",
+};
+
+/* ---------------------------- Gujarati ---------------------------- */
+const gu = {
+  // Garment
+  "સાડી": "saree",
+  "પાલવ": "pallu",
+  "પલ્લુ": "pallu",
+  "પાટલી": "pleats",
+  "પ્લીટ્સ": "pleats",
+  "જરી": "zari",
+  "બ્લાઉઝ": "blouse",
+  "બોર્ડર": "border",
+  "કિનારી": "border",
+  "બુટ્ટી": "motifs",
+  "દુપટ્ટો": "dupatta",
+  "ભરતકામ": "embroidery",
+  "રેશમ": "silk",
+  // Pose
+  "પાછળથી": "from behind",
+  "પાછળ": "back",
+  "પીઠ": "back",
+  "પાલવ ફેલાવીને": "pallu spread",
+  "પાલવ બતાવતી": "showing pallu",
+  "અરીસો": "mirror",
+  "અરીસા": "mirror",
+  "અરીસાની": "mirror",
+  "રસોઈ કરતી": "cooking",
+  "શાક સમારતી": "cutting vegetables",
+  "ચા": "tea",
+  "કોફી": "coffee",
+  "કપ": "cup",
+  "લેપટોપ": "laptop",
+  "ઝૂમ": "zoom",
+  "ક્લોઝ અપ": "close-up",
+  "બેઠેલી": "sitting",
+  "ઊભી": "standing",
+  "ઉભી": "standing",
+  "ચાલતી": "walking",
+  "સ્મિત": "smile",
+  "પોઝ": "pose",
+  // Location
+  "રસોડું": "kitchen",
+  "રસોડામાં": "in kitchen",
+  "ઘર": "home",
+  "ઘરમાં": "at home",
+  "બેઠકખંડ": "living room",
+  "ઓફિસ": "office",
+  "મંદિર": "temple",
+  "બગીચો": "garden",
+  "બગીચામાં": "in garden",
+  "બાલ્કની": "balcony",
+  // Colours
+  "લાલ": "red",
+  "લીલી": "green",
+  "લીલો": "green",
+  "વાદળી": "blue",
+  "પીળી": "yellow",
+  "સોનેરી": "golden",
+  "સફેદ": "white",
+  "કાળી": "black",
+  "રંગ": "colour",
+  // Connectives
+  "સાથે": "with",
+  "પાસે": "near",
+  "સામે": "in front of",
+  "અને": "and",
+  "વગર": "without",
+  "નહીં": "not",
+  "નહિ": "not",
+  "જોઈએ": "",
+  "નો": "",
+  "ની": "",
+  "નું": "",
+  "છે": "",
+};
+
+/* ---------------------------- Tamil ---------------------------- */
+const ta = {
+  // Garment
+  "புடவை": "saree",
+  "சேலை": "saree",
+  "முந்தானை": "pallu",
+  "மடிப்புகள்": "pleats",
+  "கொசுவம்": "pleats",
+  "ஜரிகை": "zari",
+  "ரவிக்கை": "blouse",
+  "பிளவுஸ்": "blouse",
+  "பார்டர்": "border",
+  "கரை": "border",
+  "புட்டா": "motifs",
+  "பட்டு": "silk",
+  "பருத்தி": "cotton",
+  // Pose
+  "பின்புறம்": "back",
+  "பின்னால்": "from behind",
+  "முதுகு": "back",
+  "முந்தானை விரித்து": "pallu spread",
+  "முந்தானை காட்டி": "showing pallu",
+  "கண்ணாடி": "mirror",
+  "கண்ணாடி முன்": "in front of mirror",
+  "சமைக்கும்": "cooking",
+  "சமையல் செய்யும்": "cooking",
+  "காய்கறி நறுக்கும்": "cutting vegetables",
+  "தேநீர்": "tea",
+  "டீ": "tea",
+  "காபி": "coffee",
+  "கோப்பை": "cup",
+  "மடிக்கணினி": "laptop",
+  "லேப்டாப்": "laptop",
+  "ஜூம்": "zoom",
+  "க்ளோஸ் அப்": "close-up",
+  "அமர்ந்து": "sitting",
+  "உட்கார்ந்து": "sitting",
+  "நின்று": "standing",
+  "நடந்து": "walking",
+  "புன்னகை": "smile",
+  "போஸ்": "pose",
+  // Location
+  "சமையலறை": "kitchen",
+  "சமையலறையில்": "in kitchen",
+  "வீடு": "home",
+  "வீட்டில்": "at home",
+  "வரவேற்பறை": "living room",
+  "அலுவலகம்": "office",
+  "அலுவலகத்தில்": "in office",
+  "கோயில்": "temple",
+  "கோவில்": "temple",
+  "தோட்டம்": "garden",
+  "தோட்டத்தில்": "in garden",
+  "பால்கனி": "balcony",
+  // Colours
+  "சிவப்பு": "red",
+  "பச்சை": "green",
+  "நீலம்": "blue",
+  "மஞ்சள்": "yellow",
+  "தங்க": "golden",
+  "வெள்ளை": "white",
+  "கருப்பு": "black",
+  "நிறம்": "colour",
+  // Connectives
+  "உடன்": "with",
+  "அருகில்": "near",
+  "மற்றும்": "and",
+  "இல்லாமல்": "without",
+  "வேண்டாம்": "not",
+  "இல்லை": "not",
+};
+
+/* ---------------------------- Hinglish ---------------------------- */
+// Romanized Hindi, matched case-insensitively
+const hinglish = {
+  // Garment
+  "saadi": "saree",
+  "sadi": "saree",
+  "aanchal": "pallu",
+  "anchal": "pallu",
+  "chunnat": "pleats",
+  "jari": "zari",
+  "kinara": "border",
+  "kinari": "border",
+  "buti": "motifs",
+  "buta": "motifs",
+  "kadhai": "embroidery",
+  "resham": "silk",
+  // Pose
+  "peeche se": "from behind",
+  "piche se": "from behind",
+  "peechhe se": "from behind",
+  "peeche": "back",
+  "piche": "back",
+  "peeth": "back",
+  "pallu phailaye": "pallu spread",
+  "pallu failaye": "pallu spread",
+  "pallu phaila": "pallu spread",
+  "pallu khula": "pallu open",
+  "pallu dikhate hue": "showing pallu",
+  "dikhate hue": "showing",
+  "aaina": "mirror",
+  "aaine": "mirror",
+  "sheesha": "mirror",
+  "sheeshe": "mirror",
+  "khana banate hue": "cooking",
+  "khana banati": "cooking",
+  "sabzi kaatte hue": "cutting vegetables",
+  "sabji kaatte hue": "cutting vegetables",
+  "sabzi kaat": "cutting vegetables",
+  "chai peete hue": "sipping tea",
+  "chai pite hue": "sipping tea",
+  "baithi hui": "sitting",
+  "baithi": "sitting",
+  "baithe": "sitting",
+  "khadi": "standing",
+  "khade": "standing",
+  "chalte hue": "walking",
+  "muskurate hue": "smiling",
+  "muskaan": "smile",
+  // Location
+  "rasoi mein": "in kitchen",
+  "rasoi": "kitchen",
+  "ghar mein": "at home",
+  "ghar": "home",
+  "baithak": "living room",
+  "daftar": "office",
+  "mandir": "temple",
+  "bageecha": "garden",
+  "bagicha": "garden",
+  // Colours
+  "laal": "red",
+  "lal": "red",
+  "hara": "green",
+  "hari": "green",
+  "neela": "blue",
+  "neeli": "blue",
+  "peela": "yellow",
+  "peeli": "yellow",
+  "sunehra": "golden",
+  "sunehri": "golden",
+  "safed": "white",
+  "kaala": "black",
+  "kaali": "black",
+  "rang": "colour",
+  // Connectives
+  "ke saath": "with",
+  "ke sath": "with",
+  "ke paas": "near",
+  "ke saamne": "in front of",
+  "ke samne": "in front of",
+  "mein": "in",
+  "aur": "and",
+  "bina": "without",
+  "nahi": "not",
+  "nahin": "not",
+  "chahiye": "",
+  "ka": "",
+  "ki": "",
+  "ke": "",
+  "hai": "",
+  "hain": "",
+  "hue": "",
+  "hui": "",
+  "wali": "",
+  "wala": "",
+};
+
+export const DICTIONARY = { hi, gu, ta, hinglish };
+
+// Romanized Hindi function words; two or more of them mark a note as Hinglish
+export const HINGLISH_MARKERS = [
+  "se",
+  "ke",
+  "ki",
+  "ka",
+  "ko",
+  "mein",
+  "hai",
+  "hain",
+  "aur",
+  "wali",
+  "wala",
+  "hue",
+  "hui",
+  "karte",
+  "karti",
+  "rahi",
+  "raha",
+  "bhi",
+  "nahi",
+  "saath",
+  "sath",
+  "peeche",
+  "ghar",
+];
@@ -0,0 +1,169 @@
+import { DICTIONARY, HINGLISH_MARKERS } from "./dictionary.js";
+
+/**
+ * Notes localization.
+ *
+ * Operators often type the free-text notes in Hindi, Gujarati, Tamil or
+ * Hinglish. Before the prompt context is built, each note field is
+ * language-detected (or taken from `notesLanguage`) and translated to
+ * English by the active translator, so the English prompt gets English text.
+ * The original wording is kept for the pose / location detectors, which also
+ * know per-language synonyms (localization/keywords.js).
+ *
+ * Translator interface - any object with these can replace the built-in
+ * dictionary translator (see setTranslator), e.g. a cloud translation
+ * adapter:
+ *
+ *   name                                   reported in debugInfo.localization
+ *   translate(text, { from, to, field })   → Promise<string>
+ *
+ * `from` is one of the non-English NOTES_LANGUAGES, `to` is always "en".
+ */
+
+export const NOTES_LANGUAGES = ["auto", "en", "hi", "gu", "ta", "hinglish"];
+
+// Free-text fields that are localized; the dropdown fields are already English
+export const NOTE_FIELDS = [
+  "poseNote",
+  "locationNote",
+  "modelTypeNote",
+  "modelExpressionNote",
+  "hairNote",
+  "accessoriesNote",
+  "otherOptionNote",
+  "otherDetails",
+];
+
+const SCRIPTS = {
+  hi: /\p{Script=Devanagari}/gu,
+  gu: /\p{Script=Gujarati}/gu,
+  ta: /\p{Script=Tamil}/gu,
+};
+const NATIVE_WORD = /[\p{Script=Devanagari}\p{Script=Gujarati}\p{Script=Tamil}][\p{L}\p{M}]*/gu;
+
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+/**
+ * detectLanguage - "hi", "gu" or "ta" by the script most of the letters are
+ * in, "hinglish" for Latin text with at least two romanized Hindi function
+ * words ("peeche se", "ghar mein"), otherwise "en".
+ */
+export const detectLanguage = (text = "") => {
+  const value = String(text);
+  const [script, count] = Object.entries(SCRIPTS)
+    .map(([language, pattern]) => [language, (value.match(pattern) || []).length])
+    .reduce((best, entry) => (entry[1] > best[1] ? entry : best), ["en", 0]);
+  if (count > 0) return script;
+
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  const markers = words.filter((word) => HINGLISH_MARKERS.includes(word)).length;
+  return markers >= 2 ? "hinglish" : "en";
+};
+
+/* -------------------- Dictionary Translator -------------------- */
+const WORD_CHAR = "[\\p{L}\\p{M}\\p{N}]";
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const phraseKey = (value) => value.normalize("NFC").toLowerCase().replace(/\s+/g, " ");
+
+// One alternation per language, longest phrase first so phrases beat their words
+const compile = (entries) => {
+  const lookup = new Map(Object.entries(entries).map(([source, english]) => [phraseKey(source), english]));
+  const alternatives = [...lookup.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) => escapeRegExp(phrase).replace(/ /g, "\\s+"));
+  return {
+    lookup,
+    pattern: new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join("|")})(?!${WORD_CHAR})`, "giu"),
+  };
+};
+
+const compiled = Object.fromEntries(
+  Object.entries(DICTIONARY).map(([language, entries]) => [language, compile(entries)]),
+);
+
+// Indic languages negate at the end of the clause ("peeche se nahi" → "from
+// behind not"); English detectors and the prompt want "not from behind"
+const CLAUSE_FINAL_NOT = /(^|[,.;:!?\n]\s*)([^,.;:!?\n]+?)\s+not(?=\s*(?:[,.;:!?\n]|$))/g;
+
+const tidy = (text) =>
+  text
+    .replace(/।/g, ".")
+    .replace(/[ \t]+/g, " ")
+    .replace(CLAUSE_FINAL_NOT, "$1not $2")
+    .replace(/ ([,.;:!?])/g, "$1")
+    .replace(/^ | $/gm, "")
+    .trim();
+
+/**
+ * Word-for-word translation with the local term dictionary
+ * (localization/dictionary.js). Unknown words are left as typed, so the
+ * result can still contain native-script words (reported as `untranslated`).
+ */
+export const dictionaryTranslator = {
+  name: "dictionary",
+  async translate(text, { from }) {
+    const table = compiled[from];
+    if (!table) return text;
+    const replaced = String(text)
+      .normalize("NFC")
+      .replace(table.pattern, (match) => table.lookup.get(phraseKey(match)) ?? match);
+    return tidy(replaced);
+  },
+};
+
+let translator = dictionaryTranslator;
+
+export const getTranslator = () => translator;
+
+export const setTranslator = (customTranslator) => {
+  translator = customTranslator;
+};
+
+/**
+ * localizeNotes - translates the non-English NOTE_FIELDS of a form body.
+ *
+ * `notesLanguage` ("auto" by default) names the language of the notes; "en"
+ * switches localization off. Resolves with the body with translated notes and
+ * a report for debugInfo, or the body unchanged and `localization: null` when
+ * every note was English:
+ *
+ *   { translator, fields: { poseNote: { language, original, text, untranslated, error? } } }
+ *
+ * A translator failure keeps the original note and records `error` rather
+ * than failing the generation.
+ */
+export const localizeNotes = async (raw = {}) => {
+  const requested = raw.notesLanguage || "auto";
+  if (requested === "en") return { body: raw, localization: null };
+
+  const active = getTranslator();
+  const body = { ...raw };
+  const fields = {};
+
+  for (const field of NOTE_FIELDS) {
+    const original = raw[field];
+    if (!present(original)) continue;
+    const language = requested === "auto" ? detectLanguage(original) : requested;
+    if (language === "en") continue;
+
+    try {
+      const text = await active.translate(String(original), { from: language, to: "en", field });
+      body[field] = text;
+      fields[field] = {
+        language,
+        original,
+        text,
+        untranslated: [...new Set(text.match(NATIVE_WORD) || [])],
+      };
+    } catch (error) {
+      console.log(`⚠️ Could not translate ${field} (${language}): ${error.message}`);
+      fields[field] = { language, original, text: original, untranslated: [], error: error.message };
+    }
+  }
+
+  if (Object.keys(fields).length === 0) return { body: raw, localization: null };
+
+  const translated = Object.keys(fields).filter((field) => !fields[field].error);
+  console.log(`🌐 Localized ${translated.length}/${Object.keys(fields).length} note field(s) with ${active.name}`);
+  return { body, localization: { translator: active.name, fields } };
+};
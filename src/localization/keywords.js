@@ -0,0 +1,69 @@
+/**
+ * Per-language trigger synonyms, merged into the English TRIGGERS rules of
+ * catalog/options.js as extra `synonyms`. They let the pose / location
+ * detectors fire on the operator's original wording, so detection does not
+ * depend on how well a translator renders it.
+ *
+ * Shape: { language: { group: { flagName: ["phrase", ...] } } }. Flags whose
+ * rule needs several parts (`all`, e.g. isBlouseZoomPose) can't take plain
+ * synonyms; they are detected on the translated text instead.
+ */
+export const LOCALIZED_TRIGGERS = {
+  hi: {
+    pose: {
+      isBackPose: ["पीछे", "पीछे से", "पीठ"],
+      isMirrorPose: ["आईना", "आईने", "शीशा", "शीशे"],
+      isKitchenCooking: ["खाना बनाते", "खाना बनाती", "सब्ज़ी काटते", "सब्जी काटते"],
+      isKitchenCoffee: ["चाय", "कॉफ़ी", "कॉफी"],
+      isKitchenLaptop: ["लैपटॉप"],
+      isPalluSpreadPose: ["पल्लू फैलाए", "पल्लू फैला", "पल्लू दिखाते", "आँचल फैलाए"],
+      isZoom: ["ज़ूम", "क्लोज़ अप", "क्लोज अप"],
+    },
+    location: {
+      isLivingRoom: ["घर", "बैठक", "ड्राइंग रूम"],
+      indoorNoCeiling: ["घर", "बैठक", "ड्राइंग रूम", "दफ़्तर", "दफ्तर", "ऑफिस"],
+    },
+  },
+  gu: {
+    pose: {
+      isBackPose: ["પાછળ", "પાછળથી", "પીઠ"],
+      isMirrorPose: ["અરીસો", "અરીસા", "અરીસાની"],
+      isKitchenCooking: ["રસોઈ કરતી", "શાક સમારતી"],
+      isKitchenCoffee: ["ચા", "કોફી"],
+      isKitchenLaptop: ["લેપટોપ"],
+      isPalluSpreadPose: ["પાલવ ફેલાવીને", "પાલવ બતાવતી"],
+      isZoom: ["ઝૂમ", "ક્લોઝ અપ"],
+    },
+    location: {
+      isLivingRoom: ["ઘર", "ઘરમાં", "બેઠકખંડ"],
+      indoorNoCeiling: ["ઘર", "ઘરમાં", "બેઠકખંડ", "ઓફિસ"],
+    },
+  },
+  ta: {
+    pose: {
+      isBackPose: ["பின்புறம்", "பின்னால்", "முதுகு"],
+      isMirrorPose: ["கண்ணாடி"],
+      isKitchenCooking: ["சமைக்கும்", "சமையல் செய்யும்", "காய்கறி நறுக்கும்"],
+      isKitchenCoffee: ["தேநீர்", "டீ", "காபி"],
+      isKitchenLaptop: ["மடிக்கணினி", "லேப்டாப்"],
+      isPalluSpreadPose: ["முந்தானை விரித்து", "முந்தானை காட்டி"],
+      isZoom: ["ஜூம்", "க்ளோஸ் அப்"],
+    },
+    location: {
+      isLivingRoom: ["வீடு", "வீட்டில்", "வரவேற்பறை"],
+      indoorNoCeiling: ["வீடு", "வீட்டில்", "வரவேற்பறை", "அலுவலகம்", "அலுவலகத்தில்"],
+    },
+  },
+  hinglish: {
+    pose: {
+      isBackPose: ["peeche", "piche", "peechhe", "peeth"],
+      isMirrorPose: ["aaina", "aaine", "sheesha", "sheeshe"],
+      isKitchenCooking: ["khana banate", "khana banati", "sabzi kaat", "sabji kaat", "sabzi kaatte"],
+      isPalluSpreadPose: ["pallu phailaye", "pallu failaye", "pallu phaila", "pallu khula"],
+    },
+    location: {
+      isLivingRoom: ["ghar", "baithak"],
+      indoorNoCeiling: ["ghar", "baithak", "daftar"],
+    },
+  },
+};
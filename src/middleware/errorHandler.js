@@ -0,0 +1,28 @@
+import multer from "multer";
+import {
+  ApiError,
+  ErrorCodes,
+  serializeError,
+  toApiError,
+} from "../utils/errors.js";
+
+/**
+ * Central Express error middleware. Every route reports failures with
+ * next(error); this formats them as { error, code, details? } with the
+ * matching HTTP status.
+ */
+// Express recognises error middleware by its four parameters, so `next` stays
+export const errorHandler = (err, req, res, next) => {
+  let error = err;
+
+  if (err instanceof multer.MulterError) {
+    error = new ApiError(400, ErrorCodes.INVALID_UPLOAD, err.message, {
+      field: err.field ?? null,
+    });
+  } else if (err?.type === "entity.parse.failed") {
+    error = new ApiError(400, ErrorCodes.INVALID_JSON, "Request body is not valid JSON.");
+  }
+
+  const apiError = toApiError(error);
+  return res.status(apiError.status).json(serializeError(apiError));
+};
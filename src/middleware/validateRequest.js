@@ -0,0 +1,21 @@
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+import { validate } from "../validation/schema.js";
+
+export const validationError = (problems) =>
+  new ApiError(
+    422,
+    ErrorCodes.VALIDATION_FAILED,
+    "Request validation failed.",
+    { fields: problems },
+  );
+
+/**
+ * Rejects the request with a 422 listing every field-level problem when
+ * req.body / req.files don't match `schema` (see validation/schema.js).
+ * Must run after multer so files and fields are parsed.
+ */
+export const validateRequest = (schema) => (req, res, next) => {
+  const problems = validate(schema, { body: req.body, files: req.files });
+  if (problems.length > 0) return next(validationError(problems));
+  return next();
+};
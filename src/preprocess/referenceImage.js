@@ -0,0 +1,141 @@
+import sharp from "sharp";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+import { positiveIntEnv } from "../config/env.js";
+
+/**
+ * Reference image preprocessing, run on every upload before it is sent to the
+ * model or used for scoring:
+ *
+ *   1. validate that the buffer decodes as an image
+ *   2. auto-orient from EXIF (phone photos)
+ *   3. optionally trim uniform borders (scans, screenshots with padding)
+ *   4. downscale so the longest side is at most REFERENCE_MAX_DIMENSION
+ *   5. convert to sRGB and re-encode without metadata (EXIF, GPS, ICC)
+ *
+ * Images with transparency are re-encoded as PNG, everything else as JPEG.
+ */
+
+const MAX_DIMENSION = positiveIntEnv("REFERENCE_MAX_DIMENSION", 2048);
+const AUTO_CROP = process.env.REFERENCE_AUTO_CROP === "true";
+// Colour distance from the corner pixel still treated as border when trimming
+const TRIM_THRESHOLD = 12;
+const JPEG_QUALITY = 92;
+
+const HEIF_MIMETYPES = ["image/heic", "image/heif"];
+
+/**
+ * preprocessReference - returns a copy of the multer `file` with the
+ * processed buffer / mimetype / size, plus a summary for debugInfo.
+ *
+ * @param {object} file     multer file ({ buffer, mimetype, size, originalname })
+ * @param {object} options
+ * @param {string} options.field     form field name, used in error details
+ * @param {boolean} options.autoCrop trim borders (defaults to REFERENCE_AUTO_CROP)
+ * @param {number} options.maxDimension  longest side in px (defaults to REFERENCE_MAX_DIMENSION)
+ */
+export const preprocessReference = async (
+  file,
+  { field = "referenceImage", autoCrop = AUTO_CROP, maxDimension = MAX_DIMENSION } = {},
+) => {
+  const startedAt = Date.now();
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+    // metadata() only reads the header - make sure the pixels decode too
+    await sharp(file.buffer).resize(8, 8, { fit: "inside" }).raw().toBuffer();
+  } catch (error) {
+    // The bundled libvips has no HEVC decoder; HEIC goes to the model untouched
+    if (HEIF_MIMETYPES.includes(file.mimetype)) {
+      return {
+        file,
+        summary: {
+          field,
+          passthrough: true,
+          reason: `Could not decode ${file.mimetype} locally (${error.message}); sent unchanged.`,
+          originalBytes: file.size,
+        },
+      };
+    }
+    throw new ApiError(
+      422,
+      ErrorCodes.INVALID_IMAGE,
+      `${field} is not a decodable image.`,
+      { field, mimetype: file.mimetype, reason: error.message },
+    );
+  }
+
+  /* ---------------- Orient (+ trim) ---------------- */
+  const orientation = metadata.orientation || 1;
+  let image = sharp(file.buffer).rotate();
+  let cropped = null;
+
+  if (autoCrop) {
+    const oriented = await image.raw().toBuffer({ resolveWithObject: true });
+    const raw = {
+      width: oriented.info.width,
+      height: oriented.info.height,
+      channels: oriented.info.channels,
+    };
+    const { data, info } = await sharp(oriented.data, { raw })
+      .trim({ threshold: TRIM_THRESHOLD })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    if (info.width !== raw.width || info.height !== raw.height) {
+      cropped = {
+        left: -(info.trimOffsetLeft || 0),
+        top: -(info.trimOffsetTop || 0),
+        width: info.width,
+        height: info.height,
+      };
+    }
+    image = sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels },
+    });
+  }
+
+  /* ---------------- Resize + re-encode ---------------- */
+  const hasAlpha = !!metadata.hasAlpha;
+  image = image
+    .resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .toColourspace("srgb");
+  image = hasAlpha ? image.png() : image.jpeg({ quality: JPEG_QUALITY });
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  const mimetype = hasAlpha ? "image/png" : "image/jpeg";
+
+  // EXIF orientations 5-8 swap width and height
+  const [originalWidth, originalHeight] =
+    orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+
+  const summary = {
+    field,
+    originalFormat: metadata.format,
+    originalMimetype: file.mimetype,
+    originalBytes: file.size,
+    originalWidth,
+    originalHeight,
+    colourSpace: metadata.space,
+    hadIccProfile: !!metadata.icc,
+    hadExif: !!metadata.exif,
+    orientation,
+    rotated: orientation !== 1,
+    cropped,
+    resized: info.width !== (cropped?.width ?? originalWidth),
+    format: info.format,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    durationMs: Date.now() - startedAt,
+  };
+
+  return {
+    file: { ...file, buffer: data, mimetype, size: data.length },
+    summary,
+  };
+};
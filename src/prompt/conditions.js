@@ -0,0 +1,82 @@
+/**
+ * Trigger conditions for prompt rule packs.
+ *
+ * A rule pack's `when` is a small JSON expression evaluated against the
+ * prompt context variables. Omitting `when` means "always include".
+ *
+ *   { "flag": "isMirrorPose" }                          → variable is truthy
+ *   { "equals": { "generationMode": "POSE_BASED" } }    → every listed variable equals the value
+ *   { "contains": { "location": ["temple", "courtyard"] } }
+ *                                                        → variable text contains any keyword (case-insensitive)
+ *   { "all": [ ... ] } / { "any": [ ... ] } / { "not": { ... } }
+ */
+
+const OPERATORS = ["flag", "equals", "contains", "all", "any", "not"];
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const textOf = (value) =>
+  (Array.isArray(value) ? value.join(" ") : String(value ?? "")).toLowerCase();
+
+/**
+ * Throws if a condition uses an unknown operator or a malformed operand,
+ * so broken rule packs fail at load time instead of silently never matching.
+ */
+export const validateCondition = (condition, where = "condition") => {
+  if (condition === undefined) return;
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    throw new Error(`${where}: expected an object`);
+  }
+
+  const keys = Object.keys(condition);
+  if (keys.length !== 1 || !OPERATORS.includes(keys[0])) {
+    throw new Error(
+      `${where}: expected exactly one of ${OPERATORS.join(", ")} (got ${keys.join(", ") || "nothing"})`,
+    );
+  }
+
+  const [op] = keys;
+  const operand = condition[op];
+
+  if (op === "flag" && typeof operand !== "string") {
+    throw new Error(`${where}: "flag" expects a variable name`);
+  }
+  if ((op === "equals" || op === "contains") && (!operand || typeof operand !== "object")) {
+    throw new Error(`${where}: "${op}" expects an object of variable → value`);
+  }
+  if (op === "all" || op === "any") {
+    if (!Array.isArray(operand)) {
+      throw new Error(`${where}: "${op}" expects an array`);
+    }
+    operand.forEach((child, i) => validateCondition(child, `${where}.${op}[${i}]`));
+  }
+  if (op === "not") validateCondition(operand, `${where}.not`);
+};
+
+export const evaluateCondition = (condition, vars) => {
+  if (condition === undefined) return true;
+
+  const [op] = Object.keys(condition);
+  const operand = condition[op];
+
+  switch (op) {
+    case "flag":
+      return isTruthy(vars[operand]);
+    case "equals":
+      return Object.entries(operand).every(([name, value]) => vars[name] === value);
+    case "contains":
+      return Object.entries(operand).every(([name, keywords]) => {
+        const text = textOf(vars[name]);
+        const list = Array.isArray(keywords) ? keywords : [keywords];
+        return list.some((kw) => text.includes(String(kw).toLowerCase()));
+      });
+    case "all":
+      return operand.every((child) => evaluateCondition(child, vars));
+    case "any":
+      return operand.some((child) => evaluateCondition(child, vars));
+    case "not":
+      return !evaluateCondition(operand, vars);
+    default:
+      return false;
+  }
+};
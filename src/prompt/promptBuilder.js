@@ -0,0 +1,83 @@
+import { evaluateCondition } from "./conditions.js";
+import { loadRulePacks } from "./ruleLoader.js";
+import { parseTemplate, renderTemplate } from "./template.js";
+
+/**
+ * Flattens a prompt context into the variables templates and conditions see:
+ * attribute phrases (pose, location, ...), every detection flag, the garment
+ * terms ({{garment}}, {{Drape}}, {{TOP}}, ... - see catalog/garments.js) plus
+ * garmentType, generationMode, strictMode, referenceLock, hasSecondaryImage,
+ * inpaint, changedFields and poseText. A persona adds hasPersona,
+ * personaName, personaDescription and personaFaceImage (the ordinal of its
+ * face photo, e.g. "SECOND", or "" without one). The model profile adds
+ * modelProfile ("older plus-size European"), modelProfileWithArticle,
+ * ModelProfile, modelEthnicity and modelGuidance (its guidance lines as a
+ * "- " list, garment terms filled in). A framing adds aspectRatio,
+ * framingLabel, framingOrientation and framingComposition ("" without one).
+ */
+export const templateVariables = (context) => ({
+  ...context.attrPhrases,
+  ...context.flags,
+  ...context.garment.terms,
+  garmentType: context.garment.id,
+  generationMode: context.generationMode,
+  strictMode: context.strictMode,
+  referenceLock: context.referenceLock,
+  hasSecondaryImage: context.hasSecondaryImage,
+  inpaint: context.inpaint,
+  changedFields: context.changedFields,
+  poseText: context.poseText,
+  hasPersona: !!context.persona,
+  personaName: context.persona?.name || "",
+  personaDescription: context.persona?.description || "",
+  personaFaceImage: context.persona?.faceImage || "",
+  modelProfile: context.modelProfile.label,
+  ModelProfile: context.modelProfile.label[0].toUpperCase() + context.modelProfile.label.slice(1),
+  modelProfileWithArticle: context.modelProfile.labelWithArticle,
+  modelEthnicity: context.modelProfile.ethnicity,
+  modelGuidance: context.modelProfile.guidance
+    .map((line) => `- ${renderTemplate(parseTemplate(line, "model guidance"), context.garment.terms)}`)
+    .join("\n"),
+  aspectRatio: context.framing?.aspectRatio || "",
+  framingLabel: context.framing?.label || "",
+  framingOrientation: context.framing?.orientation || "",
+  framingComposition: context.framing?.composition || "",
+});
+
+/**
+ * buildPrompt - renders every rule pack whose trigger matches the context.
+ *
+ * Returns the joined prompt text together with the individual sections (in
+ * render order) so callers can log or inspect which packs fired.
+ */
+export const buildPrompt = (context, { packs = loadRulePacks() } = {}) => {
+  const vars = templateVariables(context);
+
+  const sections = packs
+    .filter((pack) => evaluateCondition(pack.when, vars))
+    .map((pack) => ({
+      id: pack.id,
+      priority: pack.priority,
+      text: renderTemplate(pack.template, vars),
+    }));
+
+  return {
+    promptText: sections.map((section) => section.text).join("\n"),
+    sections,
+  };
+};
+
+/**
+ * Short description of each rendered section: its rule pack id, first
+ * non-empty line and length. Used for request logging and prompt previews.
+ */
+export const summarizeSections = (sections) =>
+  sections.map((section) => ({
+    id: section.id,
+    firstLine:
+      section.text
+        .split("\n")
+        .map((line) => line.trim())
+        .find(Boolean) || "",
+    length: section.text.length,
+  }));
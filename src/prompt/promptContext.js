@@ -0,0 +1,253 @@
+import { detectFlags } from "../catalog/options.js";
+import { classifyPose, findPoseOption } from "../classification/poseClassifier.js";
+import { applyGarmentFlags, getGarment } from "../catalog/garments.js";
+import { resolveFraming } from "../catalog/framing.js";
+import {
+  DEFAULT_MODEL_PROFILE,
+  MODEL_PROFILE_TRIGGERS,
+  resolveModelProfiles,
+} from "../catalog/modelProfiles.js";
+
+/**
+ * Turns the raw multipart form body into the context the prompt builder
+ * renders: normalized attributes, human-readable attribute phrases, the
+ * fields the user actually changed, and the pose / scene / model flags that
+ * rule packs trigger on (trigger keywords live in catalog/options.js).
+ *
+ * `garmentType` (catalog/garments.js, saree by default) supplies the garment
+ * terms templates use, its own defaults, and remaps pose flags that mean
+ * something else on that garment.
+ *
+ * The model type resolves to model profiles (catalog/modelProfiles.js) whose
+ * defaults replace the garment defaults for fields the request leaves unset.
+ *
+ * `framing` / `aspectRatio` (catalog/framing.js) set the frame the camera
+ * sections compose for.
+ */
+
+/* ---------------------------- Helpers ---------------------------- */
+const present = (v) =>
+  v !== undefined && v !== null && String(v).trim() !== "";
+const isArrayPresent = (v) =>
+  Array.isArray(v) ? v.length > 0 : present(v);
+
+const mergeChoice = (dropdown, note, fallback) => {
+  if (isArrayPresent(dropdown)) {
+    const arr = Array.isArray(dropdown) ? dropdown : [dropdown];
+    return `${arr.join(", ")}${note ? `. Extra note: ${note}` : ""}`;
+  }
+  if (dropdown && note) return `${dropdown}. Extra note: ${note}`;
+  if (dropdown) return dropdown;
+  if (note) return note;
+  return fallback;
+};
+
+const formatExpression = (selected, note, fallback) => {
+  let parts = [];
+  if (selected) {
+    const arr = Array.isArray(selected) ? selected : [selected];
+    parts.push(arr.join(", "));
+  }
+  if (note) parts.push(note);
+  if (parts.length === 0) return fallback;
+  return parts.join(" and ");
+};
+
+// How prompts name the n-th attached image (0-based)
+const IMAGE_ORDINALS = ["FIRST", "SECOND", "THIRD", "FOURTH"];
+
+/* -------------------- Defaults -------------------- */
+export const DEFAULTS = {
+  modelType:
+    "Indian woman, medium height, average build, realistic proportions",
+  modelExpression: "natural expression, age 20–40",
+  hair: "classic Indian hairstyle, neat bun or braid",
+  pose: "full body front pose, standing naturally, weight balanced",
+  location: "modern living room interior, home environment",
+  accessories: "light traditional jewellery only",
+  otherOption:
+    "match saree design, border, motifs, and colours exactly from primary reference image",
+};
+
+/**
+ * buildPromptContext - normalizes the form body for prompt assembly.
+ *
+ * @param {object} raw  req.body of the multipart request
+ * @param {object} options
+ * @param {boolean} options.hasSecondaryImage  whether referenceImage2 was uploaded
+ * @param {boolean} options.strictMode         HARD_STRICT_MODE
+ * @param {boolean} options.inpaint            inpainting mode (garment mask sent)
+ * @param {object}  options.localization       localizeNotes report; the original
+ *                                             notes are added to the detector input
+ * @param {object}  options.persona            applyPersona summary of the persona
+ *                                             the model must match
+ */
+export const buildPromptContext = (
+  raw = {},
+  {
+    hasSecondaryImage = false,
+    strictMode = false,
+    inpaint = false,
+    localization = null,
+    persona = null,
+  } = {},
+) => {
+  const generationMode = raw.generationMode || "POSE_BASED";
+  // Unknown types are rejected by the form schema; fall back for direct callers
+  const garment = getGarment(raw.garmentType) || getGarment();
+  const defaults = { ...DEFAULTS, ...garment.defaults };
+  const framing = resolveFraming(raw);
+
+  /* ------------------------ Attributes ------------------------ */
+  const attributes = {
+    modelType: present(raw.modelType) ? raw.modelType : null,
+    modelTypeNote: present(raw.modelTypeNote) ? raw.modelTypeNote : null,
+    modelExpression: isArrayPresent(raw.modelExpression)
+      ? raw.modelExpression
+      : null,
+    modelExpressionNote: present(raw.modelExpressionNote)
+      ? raw.modelExpressionNote
+      : null,
+    hair: present(raw.hair) ? raw.hair : null,
+    hairNote: present(raw.hairNote) ? raw.hairNote : null,
+    // A registry poseId stands in for the pose text when none was typed
+    pose: present(raw.pose)
+      ? raw.pose
+      : findPoseOption(raw.poseId)?.value ?? null,
+    poseNote: present(raw.poseNote) ? raw.poseNote : null,
+    location: present(raw.location) ? raw.location : null,
+    locationNote: present(raw.locationNote) ? raw.locationNote : null,
+    accessories: present(raw.accessories) ? raw.accessories : null,
+    accessoriesNote: present(raw.accessoriesNote) ? raw.accessoriesNote : null,
+    otherOption: present(raw.otherOption) ? raw.otherOption : null,
+    otherOptionNote: present(raw.otherOptionNote) ? raw.otherOptionNote : null,
+    otherDetails: present(raw.otherDetails) ? raw.otherDetails : null,
+  };
+
+  const changedFields = Object.keys(attributes).filter(
+    (k) => !k.endsWith("Note") && attributes[k] !== null,
+  );
+
+  // Translated note plus the operator's original wording, for the detectors
+  const detectionNote = (field) =>
+    [attributes[field], localization?.fields?.[field]?.original].filter(present).join("\n") || null;
+
+  const poseClassification = classifyPose({
+    poseId: raw.poseId,
+    pose: attributes.pose,
+    poseNote: detectionNote("poseNote"),
+  });
+
+  const garmentFlags = applyGarmentFlags(garment, poseClassification.flags);
+
+  const poseText =
+    (attributes.pose || "") + " " + (attributes.poseNote || "");
+
+  /* -------------------- Model Type Analysis -------------------- */
+  const modelTypePhrase = mergeChoice(
+    attributes.modelType,
+    attributes.modelTypeNote,
+    defaults.modelType,
+  );
+  const selectedModelType = modelTypePhrase.toLowerCase();
+  const modelProfile = resolveModelProfiles(detectFlags("modelType", selectedModelType));
+  const modelFlags = Object.fromEntries(
+    Object.keys(MODEL_PROFILE_TRIGGERS).map((flag) => [
+      flag,
+      modelProfile.profiles.some((profile) => profile.flag === flag),
+    ]),
+  );
+
+  // Profile defaults fill whatever the request leaves unset
+  const adjustedDefaults = { ...defaults, ...modelProfile.defaults };
+
+  const attrPhrases = {
+    modelType: modelTypePhrase,
+    modelExpression: formatExpression(
+      attributes.modelExpression,
+      attributes.modelExpressionNote,
+      adjustedDefaults.modelExpression,
+    ),
+    hair: mergeChoice(attributes.hair, attributes.hairNote, adjustedDefaults.hair),
+    pose: mergeChoice(attributes.pose, attributes.poseNote, adjustedDefaults.pose),
+    location: mergeChoice(
+      attributes.location,
+      attributes.locationNote,
+      adjustedDefaults.location,
+    ),
+    accessories: mergeChoice(
+      attributes.accessories,
+      attributes.accessoriesNote,
+      adjustedDefaults.accessories,
+    ),
+    otherOption: mergeChoice(
+      attributes.otherOption,
+      attributes.otherOptionNote,
+      adjustedDefaults.otherOption,
+    ),
+    otherDetails: attributes.otherDetails || "",
+  };
+
+  const profileDefaultFields = Object.keys(modelProfile.defaults).filter(
+    (field) => attrPhrases[field] === adjustedDefaults[field],
+  );
+
+  /* ------------------ Living Room Detection ------------------ */
+  const locationOriginal = localization?.fields?.locationNote?.original;
+  const { isLivingRoom, indoorNoCeiling } = detectFlags(
+    "location",
+    [attrPhrases.location, locationOriginal].filter(present).join("\n"),
+  );
+
+  /* ---------------------- Persona Identity ---------------------- */
+  // The face photo is attached after the reference images and the mask
+  const imagesBeforeFace = 1 + (hasSecondaryImage ? 1 : 0) + (inpaint ? 1 : 0);
+  const personaContext = persona && {
+    id: persona.id,
+    name: persona.name,
+    description: persona.description,
+    faceImage: persona.hasFaceImage ? IMAGE_ORDINALS[imagesBeforeFace] : null,
+  };
+
+  return {
+    generationMode,
+    strictMode,
+    referenceLock: true,
+    hasSecondaryImage,
+    inpaint,
+    localization,
+    persona: personaContext,
+    framing,
+    modelProfile: {
+      ids: modelProfile.ids,
+      label: modelProfile.label,
+      labelWithArticle: modelProfile.labelWithArticle,
+      ethnicity: modelProfile.ethnicity,
+      guidance: modelProfile.guidance,
+      appliedDefaults: profileDefaultFields,
+    },
+    garment: {
+      id: garment.id,
+      label: garment.label,
+      terms: garment.terms,
+      adjustedFlags: garmentFlags.adjusted,
+    },
+    attributes,
+    changedFields,
+    attrPhrases,
+    defaults,
+    adjustedDefaults,
+    poseText,
+    poseClassification,
+    selectedModelType,
+    flags: {
+      ...garmentFlags.flags,
+      isSaree: garment.id === "saree",
+      ...modelFlags,
+      isNonIndianModel: !modelProfile.ids.includes(DEFAULT_MODEL_PROFILE),
+      hasModelProfile: !modelProfile.isDefault,
+      isLivingRoom,
+      indoorNoCeiling,
+    },
+  };
+};
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { validateCondition } from "./conditions.js";
+import { parseTemplate } from "./template.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUILTIN_RULES_DIR = path.join(__dirname, "rules");
+
+const RULE_FILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+let cachedPacks = null;
+
+const readPackFile = (filePath) => {
+  const source = fs.readFileSync(filePath, "utf8");
+  return filePath.endsWith(".json") ? JSON.parse(source) : yaml.load(source);
+};
+
+/**
+ * Validates one rule pack definition and pre-parses its template.
+ *
+ * Shape:
+ *   id            unique name; a pack in PROMPT_RULES_DIR with the same id replaces the built-in one
+ *   priority      sections render in ascending priority order
+ *   when          optional trigger condition (see conditions.js)
+ *   template      inline template text, or
+ *   templateFile  path to a template file, relative to the pack file
+ *   enabled       set to false to switch a pack off without deleting it
+ */
+const compilePack = (pack, filePath) => {
+  const where = `${path.basename(filePath)}${pack?.id ? ` (${pack.id})` : ""}`;
+
+  if (!pack || typeof pack !== "object") {
+    throw new Error(`Invalid rule pack in ${where}: expected an object`);
+  }
+  if (typeof pack.id !== "string" || !pack.id.trim()) {
+    throw new Error(`Invalid rule pack in ${where}: "id" is required`);
+  }
+  if (typeof pack.priority !== "number" || !Number.isFinite(pack.priority)) {
+    throw new Error(`Invalid rule pack in ${where}: "priority" must be a number`);
+  }
+
+  let template = pack.template;
+  if (template === undefined && pack.templateFile) {
+    template = fs.readFileSync(path.resolve(path.dirname(filePath), pack.templateFile), "utf8");
+  }
+  if (typeof template !== "string") {
+    throw new Error(`Invalid rule pack in ${where}: "template" or "templateFile" is required`);
+  }
+
+  validateCondition(pack.when, `Invalid rule pack in ${where}: when`);
+
+  return {
+    id: pack.id,
+    description: pack.description || "",
+    priority: pack.priority,
+    when: pack.when,
+    enabled: pack.enabled !== false,
+    source: filePath,
+    template: parseTemplate(template, where),
+  };
+};
+
+const loadDirectory = (dir) =>
+  fs
+    .readdirSync(dir)
+    .filter((name) => RULE_FILE_EXTENSIONS.includes(path.extname(name)))
+    .sort()
+    .flatMap((name) => {
+      const filePath = path.join(dir, name);
+      const content = readPackFile(filePath);
+      return (Array.isArray(content) ? content : [content]).map((pack) =>
+        compilePack(pack, filePath),
+      );
+    });
+
+/**
+ * Loads the built-in rule packs plus any packs from the directories listed in
+ * PROMPT_RULES_DIR (comma separated). Results are cached for the lifetime of
+ * the process; pass { reload: true } to re-read the files.
+ */
+export const loadRulePacks = ({ reload = false } = {}) => {
+  if (cachedPacks && !reload) return cachedPacks;
+
+  const extraDirs = (process.env.PROMPT_RULES_DIR || "")
+    .split(",")
+    .map((dir) => dir.trim())
+    .filter(Boolean);
+
+  const byId = new Map();
+  for (const dir of [BUILTIN_RULES_DIR, ...extraDirs]) {
+    const seen = new Set();
+    for (const pack of loadDirectory(dir)) {
+      if (seen.has(pack.id)) {
+        throw new Error(`Duplicate rule pack id "${pack.id}" in ${dir}`);
+      }
+      seen.add(pack.id);
+      byId.set(pack.id, pack);
+    }
+  }
+
+  // Array.prototype.sort is stable, so equal priorities keep load order
+  cachedPacks = [...byId.values()]
+    .filter((pack) => pack.enabled)
+    .sort((a, b) => a.priority - b.priority);
+
+  return cachedPacks;
+};
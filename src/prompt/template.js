@@ -0,0 +1,95 @@
+/**
+ * Minimal template renderer for prompt rule packs.
+ *
+ * Supported syntax:
+ *   {{name}}                          → value of `name` (arrays are joined with ", ")
+ *   {{#if name}}...{{/if}}            → block rendered when `name` is truthy
+ *   {{#if name}}...{{else}}...{{/if}} → either branch (blocks may be nested)
+ *
+ * Empty arrays and empty strings count as falsy. Text outside tags is kept
+ * byte-for-byte, so whitespace in template files is significant.
+ */
+
+const TAG_PATTERN = /{{\s*(#if\s+[\w.]+|else|\/if|[\w.]+)\s*}}/g;
+
+const lookup = (vars, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), vars);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+};
+
+/**
+ * Parses a template into a tree of text / variable / conditional nodes.
+ * Throws with the template name when tags are unbalanced.
+ */
+export const parseTemplate = (source, name = "template") => {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > cursor) {
+      target().push({ type: "text", value: source.slice(cursor, match.index) });
+    }
+    cursor = match.index + match[0].length;
+
+    const tag = match[1];
+    if (tag.startsWith("#if")) {
+      const node = {
+        type: "if",
+        name: tag.slice(3).trim(),
+        children: [],
+        otherwise: [],
+        inElse: false,
+      };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      if (stack.length === 1 || current().inElse) {
+        throw new Error(`Unexpected {{else}} in ${name}`);
+      }
+      current().inElse = true;
+    } else if (tag === "/if") {
+      if (stack.length === 1) {
+        throw new Error(`Unexpected {{/if}} in ${name}`);
+      }
+      stack.pop();
+    } else {
+      target().push({ type: "var", name: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#if ${current().name}}} in ${name}`);
+  }
+  if (cursor < source.length) {
+    root.children.push({ type: "text", value: source.slice(cursor) });
+  }
+
+  return root.children;
+};
+
+const renderNodes = (nodes, vars) =>
+  nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "var") return stringify(lookup(vars, node.name));
+      return renderNodes(
+        isTruthy(lookup(vars, node.name)) ? node.children : node.otherwise,
+        vars,
+      );
+    })
+    .join("");
+
+export const renderTemplate = (parsed, vars) => renderNodes(parsed, vars);
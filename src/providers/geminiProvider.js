@@ -0,0 +1,55 @@
+import { getGenAI } from "../config/gemini.js";
+
+/**
+ * Gemini image provider - wraps genAI.models.generateContent.
+ */
+export const geminiProvider = {
+  name: "gemini",
+  defaultModel: "gemini-2.5-flash-image",
+
+  async generate(contents, { model = this.defaultModel, aspectRatio = "3:4" } = {}) {
+    const response = await getGenAI().models.generateContent({
+      model,
+      contents,
+      config: {
+        imageConfig: {
+          aspectRatio,
+        },
+      },
+    });
+
+    /* -------------------- RESPONSE LOGGING -------------------- */
+    console.log("📥 GEMINI API RESPONSE:");
+    console.log(`- Response received: ${response ? 'Yes' : 'No'}`);
+    console.log(`- Candidates: ${response?.candidates?.length || 0}`);
+
+    const candidate = response?.candidates?.[0];
+    if (candidate) {
+      console.log(`- Content parts: ${candidate.content?.parts?.length || 0}`);
+      console.log(`- Finish reason: ${candidate.finishReason || 'Unknown'}`);
+
+      if (candidate.safetyRatings) {
+        console.log("- Safety ratings:");
+        candidate.safetyRatings.forEach(rating => {
+          console.log(`  - ${rating.category}: ${rating.probability}`);
+        });
+      }
+    }
+
+    const imagePart = (candidate?.content?.parts || []).find(
+      (part) => part.inlineData?.data,
+    );
+
+    return {
+      imageBase64: imagePart?.inlineData.data || null,
+      mimeType: imagePart?.inlineData.mimeType || "image/png",
+      metadata: {
+        provider: "gemini",
+        model,
+        finishReason: candidate?.finishReason || null,
+        blockReason: response?.promptFeedback?.blockReason || null,
+        safetyRatings: candidate?.safetyRatings || [],
+      },
+    };
+  },
+};
@@ -0,0 +1,69 @@
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+import { geminiProvider } from "./geminiProvider.js";
+import { mockProvider } from "./mockProvider.js";
+
+/**
+ * Image provider interface:
+ *
+ *   name           identifier used in requests and responses
+ *   defaultModel   model used when none is requested
+ *   generate(contents, { model, aspectRatio, variant })
+ *     → { imageBase64 | null, mimeType, metadata: { provider, model, finishReason, blockReason, safetyRatings } }
+ *
+ * `contents` is the Gemini-style parts array (inlineData reference images
+ * followed by the prompt text). A provider returns imageBase64 = null when the
+ * model answered without an image; it throws on transport/API errors.
+ * `variant` (1, 2, ...) is set for the extra candidates of a best-of-N request;
+ * deterministic providers must return a different image for each variant.
+ */
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+export const listProviders = () => Object.keys(providers);
+
+// Aspect ratios the image models accept for `aspectRatio`
+export const ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+
+/**
+ * The supported aspect ratio closest to width x height (compared on a log
+ * scale, so 2:1 and 1:2 are equally far from 1:1).
+ */
+export const nearestAspectRatio = (width, height) => {
+  const target = Math.log(width / height);
+  const distance = (ratio) => {
+    const [w, h] = ratio.split(":").map(Number);
+    return Math.abs(Math.log(w / h) - target);
+  };
+  return ASPECT_RATIOS.reduce((best, ratio) => (distance(ratio) < distance(best) ? ratio : best));
+};
+
+/**
+ * Picks the provider and model for a request. Per-request `provider` /
+ * `model` fields win over IMAGE_PROVIDER / IMAGE_MODEL, which default to
+ * Gemini and the provider's default model. IMAGE_PROVIDER=mock works offline,
+ * without GEMINI_API_KEY.
+ */
+export const resolveProvider = ({ provider, model } = {}) => {
+  const name = provider || process.env.IMAGE_PROVIDER || geminiProvider.name;
+  const selected = providers[name];
+
+  if (!selected) {
+    throw new ApiError(
+      400,
+      ErrorCodes.UNKNOWN_PROVIDER,
+      `Unknown image provider "${name}". Available: ${listProviders().join(", ")}.`,
+    );
+  }
+
+  // IMAGE_MODEL only applies to the env-selected provider
+  const envModel = !provider || provider === process.env.IMAGE_PROVIDER
+    ? process.env.IMAGE_MODEL
+    : undefined;
+
+  return {
+    provider: selected,
+    model: model || envModel || selected.defaultModel,
+  };
+};
@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import sharp from "sharp";
+
+const MOCK_WIDTH = 896;
+
+// Small LCG so the same inputs always produce the same pixels
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+const parseAspectRatio = (aspectRatio) => {
+  const [w, h] = String(aspectRatio).split(":").map(Number);
+  return w > 0 && h > 0 ? h / w : 4 / 3;
+};
+
+/**
+ * Average colour of the first reference image, so mock output roughly
+ * resembles the uploaded saree. Falls back to a neutral maroon.
+ */
+const referenceColor = async (contents) => {
+  const reference = contents.find((part) => part.inlineData?.data);
+  if (!reference) return [150, 40, 60];
+
+  try {
+    const { channels } = await sharp(Buffer.from(reference.inlineData.data, "base64")).stats();
+    return channels.slice(0, 3).map((c) => Math.round(c.mean));
+  } catch {
+    return [150, 40, 60];
+  }
+};
+
+/**
+ * Mock image provider - returns a deterministic synthetic PNG (checked
+ * pattern in the reference's average colour plus seeded grain) without any
+ * network call, so the frontend can be developed offline. The same prompt
+ * and references always yield the same image (per `variant`).
+ */
+export const mockProvider = {
+  name: "mock",
+  defaultModel: "mock-image-1",
+
+  async generate(contents, { model = this.defaultModel, aspectRatio = "3:4", variant } = {}) {
+    const hash = crypto.createHash("sha256");
+    for (const part of contents) {
+      hash.update(part.text ?? part.inlineData?.data ?? "");
+    }
+    if (variant) hash.update(`variant:${variant}`);
+    const digest = hash.digest();
+
+    const width = MOCK_WIDTH;
+    const height = Math.round(MOCK_WIDTH * parseAspectRatio(aspectRatio));
+    const random = createRandom(digest.readUInt32LE(0));
+    const tile = 16 + (digest[4] % 24);
+    const base = await referenceColor(contents);
+
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 3;
+        const shade = ((Math.floor(x / tile) + Math.floor(y / tile)) % 2) * 40 - 20;
+        for (let c = 0; c < 3; c++) {
+          const value = base[c] + shade + (random() - 0.5) * 12;
+          pixels[i + c] = Math.max(0, Math.min(255, Math.round(value)));
+        }
+      }
+    }
+
+    const png = await sharp(pixels, { raw: { width, height, channels: 3 } })
+      .png()
+      .toBuffer();
+
+    console.log(`🧪 MOCK PROVIDER: generated ${width}x${height} synthetic image`);
+
+    return {
+      imageBase64: png.toString("base64"),
+      mimeType: "image/png",
+      metadata: {
+        provider: "mock",
+        model,
+        finishReason: "STOP",
+        blockReason: null,
+        safetyRatings: [],
+      },
+    };
+  },
+};
@@ -1,19 +1,50 @@
 import express from "express";
 import multer from "multer";
-import { generateImage } from "../controllers/generateController.js";
+import {
+  generateBatch,
+  generateImage,
+  previewPrompt,
+} from "../controllers/generateController.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import {
+  batchFormSchema,
+  generateFormSchema,
+} from "../validation/generateSchema.js";
 
 const router = express.Router();
-// Stores file in memory, as required for multer and most AI endpoints
-const upload = multer();
+// Stores file in memory, as required for multer and most AI endpoints.
+// The size limit is only a memory guard; per-field limits live in the schema.
+const upload = multer({ limits: { fileSize: 25 * 1024 * 1024 } });
+
+const referenceUploads = upload.fields([
+  { name: "referenceImage", maxCount: 1 },
+  { name: "referenceImage2", maxCount: 1 },
+  { name: "garmentMask", maxCount: 1 },
+  { name: "watermarkLogo", maxCount: 1 },
+]);
 
 // Accept main reference image (required) + optional second reference
 router.post(
   "/generate-image",
-  upload.fields([
-    { name: "referenceImage", maxCount: 1 },
-    { name: "referenceImage2", maxCount: 1 },
-  ]),
+  referenceUploads,
+  validateRequest(generateFormSchema),
   generateImage
 );
 
+// Same fields as /generate-image, returns the assembled prompt without calling Gemini
+router.post(
+  "/generate-image/preview",
+  referenceUploads,
+  validateRequest(generateFormSchema),
+  previewPrompt
+);
+
+// One reference upload + `items` (JSON array of attribute sets), one image per item
+router.post(
+  "/generate-image/batch",
+  referenceUploads,
+  validateRequest(batchFormSchema),
+  generateBatch
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from "express";
+import { getJobStatus } from "../controllers/jobsController.js";
+
+const router = express.Router();
+
+// Poll an async generation started with /generate-image?async=true
+router.get("/jobs/:id", getJobStatus);
+
+export default router;
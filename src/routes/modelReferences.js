@@ -0,0 +1,38 @@
+import express from "express";
+import multer from "multer";
+import {
+  deleteModelReference,
+  getModelReference,
+  getModelReferenceImage,
+  listModelReferences,
+  updateModelReference,
+  uploadModelReference,
+} from "../controllers/modelReferencesController.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import {
+  modelReferenceUpdateSchema,
+  modelReferenceUploadSchema,
+} from "../validation/modelReferenceSchema.js";
+
+const router = express.Router();
+// Memory guard only; the per-field limit lives in the schema
+const upload = multer({ limits: { fileSize: 25 * 1024 * 1024 } });
+
+// Saved model / pose photos, usable as `modelReferenceId` on /generate-image
+router.post(
+  "/model-references",
+  upload.fields([{ name: "image", maxCount: 1 }]),
+  validateRequest(modelReferenceUploadSchema),
+  uploadModelReference
+);
+router.get("/model-references", listModelReferences);
+router.get("/model-references/:id", getModelReference);
+router.get("/model-references/:id/image", getModelReferenceImage);
+router.patch(
+  "/model-references/:id",
+  validateRequest(modelReferenceUpdateSchema),
+  updateModelReference
+);
+router.delete("/model-references/:id", deleteModelReference);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getOptions } from "../controllers/optionsController.js";
+
+const router = express.Router();
+
+// Form dropdown registry shared with the prompt trigger detection
+router.get("/options", getOptions);
+
+export default router;
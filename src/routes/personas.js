@@ -0,0 +1,44 @@
+import express from "express";
+import multer from "multer";
+import {
+  createPersona,
+  deletePersona,
+  deletePersonaFace,
+  getPersona,
+  getPersonaFace,
+  listPersonas,
+  setPersonaFace,
+  updatePersona,
+} from "../controllers/personasController.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import {
+  personaCreateSchema,
+  personaFaceSchema,
+  personaUpdateSchema,
+} from "../validation/personaSchema.js";
+
+const router = express.Router();
+// Memory guard only; the per-field limit lives in the schema
+const upload = multer({ limits: { fileSize: 25 * 1024 * 1024 } });
+
+// Named model personas, usable as `personaId` on /generate-image
+router.post(
+  "/personas",
+  upload.fields([{ name: "faceImage", maxCount: 1 }]),
+  validateRequest(personaCreateSchema),
+  createPersona
+);
+router.get("/personas", listPersonas);
+router.get("/personas/:id", getPersona);
+router.get("/personas/:id/face", getPersonaFace);
+router.patch("/personas/:id", validateRequest(personaUpdateSchema), updatePersona);
+router.put(
+  "/personas/:id/face",
+  upload.fields([{ name: "faceImage", maxCount: 1 }]),
+  validateRequest(personaFaceSchema),
+  setPersonaFace
+);
+router.delete("/personas/:id/face", deletePersonaFace);
+router.delete("/personas/:id", deletePersona);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  createPreset,
+  deletePreset,
+  getPreset,
+  listPresets,
+  updatePreset,
+} from "../controllers/presetsController.js";
+
+const router = express.Router();
+
+// Named form-field sets, applied to /generate-image with `presetId`
+router.post("/presets", createPreset);
+router.get("/presets", listPresets);
+router.get("/presets/:id", getPreset);
+router.patch("/presets/:id", updatePreset);
+router.delete("/presets/:id", deletePreset);
+
+export default router;
@@ -0,0 +1,754 @@
+import { buildPromptContext } from "../prompt/promptContext.js";
+import { buildPrompt, summarizeSections } from "../prompt/promptBuilder.js";
+import { ApiError, ErrorCodes, toApiError } from "../utils/errors.js";
+import { encodeToProfile } from "../encoding/encoder.js";
+import { createDerivatives, parseDerivatives } from "../encoding/derivatives.js";
+import { applyWatermark, resolveWatermark } from "../encoding/watermark.js";
+import { resolveOutputProfile } from "../encoding/profiles.js";
+import { generateWithRetry, isSafetyBlock, isTransientError } from "./retryPolicy.js";
+import { scoreCandidates } from "../analysis/similarity.js";
+import { analyzeFidelity } from "../analysis/fidelity.js";
+import { preprocessReference } from "../preprocess/referenceImage.js";
+import { maskToPng, resolveGarmentMask } from "../inpainting/garmentMask.js";
+import { compositeGarment } from "../inpainting/composite.js";
+import { getModelReferenceStore } from "../library/modelReferenceStore.js";
+import { validationError } from "../middleware/validateRequest.js";
+import { applyPreset } from "./presetService.js";
+import { applyPersona } from "./personaService.js";
+import { getPersonaStore } from "../library/personaStore.js";
+import { localizeNotes } from "../localization/index.js";
+import { requiresSecondImage } from "../catalog/options.js";
+import { checkGarmentPose } from "../catalog/garments.js";
+import { nearestAspectRatio, resolveProvider } from "../providers/index.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { positiveIntEnv } from "../config/env.js";
+import { generateFormSchema } from "../validation/generateSchema.js";
+
+// How many candidates of one request are generated at the same time
+const CANDIDATE_CONCURRENCY = positiveIntEnv("CANDIDATE_CONCURRENCY", 2);
+
+/**
+ * FIDELITY_MAX_DRIFT, held to the same format as the `fidelityMaxDrift`
+ * field. An unparsable value is ignored (no threshold) instead of becoming
+ * NaN, which no image would pass.
+ */
+const configuredMaxDrift = () => {
+  const value = process.env.FIDELITY_MAX_DRIFT;
+  if (!value) return null;
+  if (generateFormSchema.fields.fidelityMaxDrift.pattern.test(value)) return value;
+  console.log(`⚠️ FIDELITY_MAX_DRIFT="${value}" is not a colour distance (ΔE); ignoring it`);
+  return null;
+};
+
+/**
+ * Loads a saved model reference as a multer-style file so it can stand in
+ * for a referenceImage2 upload. Library images were preprocessed when they
+ * were saved, so the file is flagged `preprocessed` and not run through
+ * preprocessReference again.
+ */
+const loadModelReference = async (id) => {
+  const store = getModelReferenceStore();
+  const [record, image] = await Promise.all([store.get(id), store.getImage(id)]);
+  if (!record || !image) {
+    throw new ApiError(
+      404,
+      ErrorCodes.MODEL_REFERENCE_NOT_FOUND,
+      `Model reference "${id}" not found.`,
+    );
+  }
+  return {
+    fieldname: "referenceImage2",
+    originalname: `${record.name} [library:${id}]`,
+    mimetype: image.mimetype,
+    size: image.buffer.length,
+    buffer: image.buffer,
+    preprocessed: true,
+  };
+};
+
+/**
+ * prepareRequest - the request as generateFromForm and the prompt preview see
+ * it: preset and persona fields merged, notes translated, a library model
+ * reference loaded in place of referenceImage2. Throws for field problems
+ * (422) and unknown presets / personas / model references (404). Resolves with
+ *
+ *   { raw, preset, persona, localization, genMode, inpaint, file, secondaryFile, maskFile }
+ */
+export const prepareRequest = async ({ files = {}, body = {} }) => {
+  // Preset values fill in whatever the request leaves unset; merged before
+  // anything else reads the body, so changedFields reflects the merge
+  const { body: presetBody, preset } = await applyPreset(body);
+  const { body: personaBody, persona } = await applyPersona(presetBody);
+  const { body: raw, localization } = await localizeNotes(personaBody);
+  const genMode = raw.generationMode || "POSE_BASED";
+  const maskFile = files.garmentMask?.[0];
+  // Inpainting: the model repaints the garment mask of referenceImage2 and the
+  // result is composited back through it (see inpainting/)
+  const inpaint = raw.inpaint === "true" || !!maskFile;
+  let secondaryFile = files.referenceImage2?.[0];
+
+  const poseProblem = checkGarmentPose(raw.garmentType, raw.poseId);
+  if (poseProblem) throw validationError([poseProblem]);
+
+  // In MODEL_REFERENCE_BASED mode the model photo already defines the model
+  if (persona && genMode !== "POSE_BASED") {
+    throw validationError([
+      { field: "personaId", message: "is only available in POSE_BASED mode" },
+    ]);
+  }
+
+  if (raw.modelReferenceId) {
+    if (secondaryFile) {
+      throw validationError([
+        {
+          field: "modelReferenceId",
+          message: "send either referenceImage2 or modelReferenceId, not both",
+        },
+      ]);
+    }
+    secondaryFile = await loadModelReference(raw.modelReferenceId);
+  }
+
+  return {
+    raw,
+    preset,
+    persona,
+    localization,
+    genMode,
+    inpaint,
+    file: files.referenceImage?.[0],
+    secondaryFile,
+    maskFile,
+  };
+};
+
+/**
+ * requestProblems - the 400s a prepared request gets from generateFromForm
+ * (which throws the first), given its prompt context. The preview reports
+ * them as warnings instead.
+ */
+export const requestProblems = ({ genMode, inpaint, file, secondaryFile }, context) =>
+  [
+    inpaint &&
+      genMode !== "MODEL_REFERENCE_BASED" &&
+      new ApiError(
+        400,
+        ErrorCodes.INPAINT_NEEDS_MODEL_REFERENCE,
+        "Inpainting is only available in MODEL_REFERENCE_BASED mode.",
+      ),
+    genMode === "MODEL_REFERENCE_BASED" &&
+      !secondaryFile &&
+      new ApiError(
+        400,
+        ErrorCodes.MODEL_REFERENCE_MISSING,
+        "Model reference image is required for this mode.",
+      ),
+    !file && new ApiError(400, ErrorCodes.REFERENCE_MISSING, "Reference image is required."),
+    requiresSecondImage(context.flags) &&
+      !secondaryFile &&
+      new ApiError(
+        400,
+        ErrorCodes.BACK_POSE_NEEDS_SECOND_IMAGE,
+        `Back pose requires SECOND reference image of same ${context.garment.terms.garment}.`,
+      ),
+  ].filter(Boolean);
+
+/** TRANSLATION_FAILED warnings for the notes localizeNotes could not translate. */
+export const translationWarnings = (localization) =>
+  Object.entries(localization?.fields || {})
+    .filter(([, entry]) => entry.error)
+    .map(([field, entry]) => ({
+      code: ErrorCodes.TRANSLATION_FAILED,
+      message: `${field} could not be translated and was used as typed.`,
+      details: { field, language: entry.language, error: entry.error },
+    }));
+
+/**
+ * generateFromForm - Enhanced with ULTRA STRICT design consistency enforcement
+ * 
+ * Key improvements for design consistency:
+ * - Ultra strict design preservation prompts
+ * - Enhanced validation checklist
+ * - Priority hierarchy (design preservation > user specs > quality)
+ * - Specific handling for single vs dual image scenarios
+ * - Pose-specific design consistency requirements
+ * - Form field compliance validation
+ * 
+ * Takes the multer `files` object and the form body of a single generation
+ * request and resolves with the JSON payload sent back to the client.
+ * Request problems are thrown as ApiError so callers can map them to a status.
+ * `onProgress(stage)` is called with "prompt_built", "model_called" and
+ * "encoding" as the pipeline advances (used by the job queue).
+ *
+ * Pipeline: preset / persona merge and note translation → request checks →
+ * reference preprocessing → prompt from the rule packs (src/prompt/rules) →
+ * provider call under the retry policy, once per candidate → inpainting
+ * composite → encoding to the output profile → fidelity check, derivatives
+ * and watermark. Each stage's fields and settings are documented in the
+ * module it calls.
+ *
+ * Put HARD_STRICT_MODE=true in .env to enable maximum strict prompt enforcement.
+ */
+export const generateFromForm = async ({
+  files = {},
+  body = {},
+  onProgress = () => {},
+}) => {
+  const HARD_STRICT_MODE = process.env.HARD_STRICT_MODE === "true";
+
+  const request = await prepareRequest({ files, body });
+  const { raw, preset, persona, localization, genMode, inpaint, maskFile } = request;
+  let { file, secondaryFile } = request;
+  const logoFile = files.watermarkLogo?.[0];
+  const { provider, model } = resolveProvider({
+    provider: raw.provider,
+    model: raw.model,
+  });
+  const fallbackModel = raw.fallbackModel || process.env.IMAGE_FALLBACK_MODEL;
+  const outputProfile = resolveOutputProfile(raw.outputProfile);
+  const candidateCount = parseInt(raw.candidates || "1", 10);
+  const fidelityMaxDrift = raw.fidelityMaxDrift || configuredMaxDrift();
+  const fidelityAction = raw.fidelityAction || process.env.FIDELITY_ACTION || "flag";
+
+  /* -------------------- Prompt Context -------------------- */
+  const context = buildPromptContext(raw, {
+    hasSecondaryImage: !!secondaryFile,
+    strictMode: HARD_STRICT_MODE,
+    inpaint,
+    localization,
+    persona,
+  });
+
+  const [problem] = requestProblems(request, context);
+  if (problem) throw problem;
+
+  // Checked up front so a watermark with nothing to draw fails before the model call
+  const watermark = resolveWatermark(raw, logoFile);
+
+  /* -------------------- Reference Preprocessing -------------------- */
+  // Unset → REFERENCE_AUTO_CROP decides
+  const autoCrop = raw.autoCropReference ? raw.autoCropReference === "true" : undefined;
+  const preprocessing = [];
+  const prepare = async (upload, field) => {
+    if (upload.preprocessed) {
+      preprocessing.push({ field, skipped: true, reason: "library image, preprocessed when saved" });
+      return upload;
+    }
+    const { file: processed, summary } = await preprocessReference(upload, { field, autoCrop });
+    preprocessing.push(summary);
+    return processed;
+  };
+  file = await prepare(file, "referenceImage");
+  if (secondaryFile) secondaryFile = await prepare(secondaryFile, "referenceImage2");
+
+  // The model is asked for the model photo's framing so the composite lines up
+  const garmentMask = inpaint ? await resolveGarmentMask(secondaryFile, maskFile) : null;
+  const inpaintAspectRatio = garmentMask
+    ? nearestAspectRatio(garmentMask.width, garmentMask.height)
+    : null;
+
+  const base64Image = file.buffer.toString("base64");
+  const base64Image2 = secondaryFile?.buffer?.toString("base64");
+
+  const {
+    attrPhrases,
+    changedFields,
+    adjustedDefaults,
+    modelProfile,
+    poseText,
+    selectedModelType,
+    referenceLock: REFERENCE_LOCK,
+  } = context;
+  const {
+    isBlouseZoomPose,
+    isMirrorPose,
+    isKitchenLaptop,
+    isKitchenCooking,
+    isKitchenCoffee,
+    isPalluSpreadPose,
+    isZoom,
+    indoorNoCeiling,
+  } = context.flags;
+
+  /* -------------------- Prompt Assembly -------------------- */
+  const { promptText, sections: promptSections } = buildPrompt(context);
+  const promptParts = promptSections.map((section) => section.text);
+
+  /* -------------------- REQUEST LOGGING -------------------- */
+  console.log("\n" + "=".repeat(80));
+  console.log("🚀 IMAGE GENERATION REQUEST DETAILS");
+  console.log("=".repeat(80));
+
+  // Log basic request info
+  console.log("📋 REQUEST METADATA:");
+  console.log(`- Provider: ${provider.name} (${model})`);
+  console.log(`- Notes Language: ${localization ? Object.entries(localization.fields).map(([field, entry]) => `${field}=${entry.language}`).join(", ") : "en"}`);
+  console.log(`- Preset: ${preset ? `${preset.name} (${preset.appliedFields.length} field(s) applied)` : "None"}`);
+  console.log(`- Persona: ${persona ? `${persona.name} (${persona.hasFaceImage ? "with" : "no"} face image)` : "None"}`);
+  console.log(`- Generation Mode: ${genMode}`);
+  console.log(`- Garment Type: ${context.garment.label}`);
+  console.log(`- Framing: ${context.framing ? `${context.framing.label} (${context.framing.aspectRatio})` : "default"}`);
+  console.log(`- Inpainting: ${garmentMask ? `${garmentMask.source} mask, ${inpaintAspectRatio}` : "off"}`);
+  console.log(`- Hard Strict Mode: ${HARD_STRICT_MODE}`);
+  console.log(`- Reference Lock: ${REFERENCE_LOCK}`);
+  console.log(`- Candidates: ${candidateCount}`);
+  console.log(`- Primary Image: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`);
+  console.log(`- Secondary Image: ${secondaryFile ? `${secondaryFile.originalname} (${(secondaryFile.size / 1024).toFixed(1)}KB)` : 'None'}`);
+
+  // Log pose detection
+  console.log("\n🎭 POSE DETECTION:");
+  console.log(`- Pose Text: "${poseText}"`);
+  console.log(`- Is Blouse Zoom: ${isBlouseZoomPose}`);
+  console.log(`- Is Pallu Spread: ${isPalluSpreadPose}`);
+  console.log(`- Is Mirror Pose: ${isMirrorPose}`);
+  console.log(`- Is Kitchen Coffee: ${isKitchenCoffee}`);
+  console.log(`- Is Kitchen Laptop: ${isKitchenLaptop}`);
+  console.log(`- Is Kitchen Cooking: ${isKitchenCooking}`);
+  console.log(`- Is Zoom Pose: ${isZoom}`);
+
+  // Log model type detection
+  console.log("\n👤 MODEL TYPE DETECTION:");
+  console.log(`- Selected Model Type: "${selectedModelType}"`);
+  console.log(`- Model Profile: ${modelProfile.label} (${modelProfile.ids.join(", ")})`);
+  for (const field of modelProfile.appliedDefaults) {
+    console.log(`- Profile Default ${field}: "${adjustedDefaults[field]}"`);
+  }
+
+  // Log user form attributes
+  console.log("\n📝 USER FORM ATTRIBUTES:");
+  console.log(`- Model Type: ${attrPhrases.modelType}`);
+  console.log(`- Model Expression: ${attrPhrases.modelExpression}`);
+  console.log(`- Hair Style: ${attrPhrases.hair}`);
+  console.log(`- Pose: ${attrPhrases.pose}`);
+  console.log(`- Location: ${attrPhrases.location}`);
+  console.log(`- Accessories: ${attrPhrases.accessories}`);
+  console.log(`- Other Option: ${attrPhrases.otherOption}`);
+  console.log(`- Other Details: ${attrPhrases.otherDetails || 'None'}`);
+  console.log(`- Changed Fields: [${changedFields.join(', ')}]`);
+
+  // Log prompt structure
+  console.log("\n📜 PROMPT STRUCTURE:");
+  console.log(`- Total Prompt Length: ${promptText.length} characters`);
+  console.log(`- Number of Sections: ${promptParts.length}`);
+
+  // Log first few sections for debugging
+  console.log("\n🔍 PROMPT SECTIONS (First 5):");
+  summarizeSections(promptSections.slice(0, 5)).forEach((section, index) => {
+    console.log(`  ${index + 1}. ${section.firstLine} (${section.length} chars)`);
+  });
+
+  // Optional: Log full prompt if DEBUG_FULL_PROMPT is set
+  if (process.env.DEBUG_FULL_PROMPT === "true") {
+    console.log("\n📜 FULL PROMPT TEXT:");
+    console.log("-".repeat(80));
+    console.log(promptText);
+    console.log("-".repeat(80));
+  }
+
+  // Log special handling flags
+  console.log("\n⚠️ SPECIAL HANDLING:");
+  if (isPalluSpreadPose) console.log("- 🚨 PALLU SPREAD POSE DETECTED - Ultra strict pallu handling enabled");
+  if (isBlouseZoomPose) console.log("- 👕 BLOUSE ZOOM POSE - Framing override applied");
+  if (base64Image2) console.log("- 🖼️ DUAL IMAGE MODE - Secondary image consistency enforced");
+  if (indoorNoCeiling) console.log("- 🏠 INDOOR NO CEILING - Ceiling enforcement applied");
+  if (context.flags.hasModelProfile) console.log(`- 👤 MODEL PROFILE - ${modelProfile.label} model handling enabled`);
+
+  console.log("=".repeat(80));
+  console.log(`📤 SENDING REQUEST TO ${provider.name.toUpperCase()} (${model})...`);
+  console.log("=".repeat(80) + "\n");
+
+  /* -------------------- Model Call -------------------- */
+  await onProgress("prompt_built");
+
+  // Inpainting needs the model photo's framing for the composite; the
+  // requested frame is then cut by the encoder
+  const modelAspectRatio = inpaintAspectRatio || context.framing?.aspectRatio;
+
+  const contents = [
+    {
+      inlineData: {
+        mimeType: file.mimetype,
+        data: base64Image,
+      },
+      role: "reference_front",
+    },
+  ];
+
+  if (base64Image2) {
+    contents.push({
+      inlineData: {
+        mimeType: secondaryFile.mimetype,
+        data: base64Image2,
+      },
+      role: "reference_back",
+    });
+  }
+
+  if (garmentMask) {
+    contents.push({
+      inlineData: {
+        mimeType: "image/png",
+        data: (await maskToPng(garmentMask)).toString("base64"),
+      },
+      role: "garment_mask",
+    });
+  }
+
+  if (persona?.hasFaceImage) {
+    const face = await getPersonaStore().getFaceImage(persona.id);
+    if (!face) {
+      throw new ApiError(404, ErrorCodes.PERSONA_NOT_FOUND, `Persona "${persona.id}" not found.`);
+    }
+    contents.push({
+      inlineData: {
+        mimeType: face.mimetype,
+        data: face.buffer.toString("base64"),
+      },
+      role: "persona_face",
+    });
+  }
+
+  contents.push({ text: promptText });
+
+  // Candidates are independent runs of the same prompt; `variant` lets
+  // seeded providers (mock) produce different images for each
+  const runs = await mapWithConcurrency(
+    Array.from({ length: candidateCount }, (_, index) => index),
+    CANDIDATE_CONCURRENCY,
+    (index) =>
+      generateWithRetry({
+        provider,
+        model,
+        fallbackModel,
+        contents,
+        garmentTerms: context.garment.terms,
+        options: {
+          ...(index ? { variant: index } : {}),
+          ...(modelAspectRatio ? { aspectRatio: modelAspectRatio } : {}),
+        },
+      }),
+  );
+  const results = runs.map((run) =>
+    run.status === "fulfilled"
+      ? run.value
+      : { generation: null, error: run.reason, attempts: [] },
+  );
+  const attempts =
+    candidateCount > 1
+      ? results.flatMap((result, index) =>
+          result.attempts.map((attempt) => ({ candidate: index, ...attempt })),
+        )
+      : results[0].attempts;
+  await onProgress("model_called");
+
+  /* -------------------- Candidate Ranking -------------------- */
+  // The candidate whose garment region best matches referenceImage
+  // (analysis/similarity.js) wins; every score is returned in `candidates`
+  let selected = results.find((result) => result.generation?.imageBase64) || results[0];
+  let candidates = null;
+  let rankingError = null;
+
+  if (candidateCount > 1) {
+    const succeeded = results.filter((result) => result.generation?.imageBase64);
+    let scores = [];
+    try {
+      scores = succeeded.length
+        ? await scoreCandidates(
+            file.buffer,
+            succeeded.map((result) => Buffer.from(result.generation.imageBase64, "base64")),
+          )
+        : [];
+    } catch (error) {
+      // The model calls are already paid for - keep the first image rather
+      // than failing the request (e.g. a HEIC reference sharp can't decode)
+      console.log(`⚠️ Candidate ranking skipped: ${error.message}`);
+      rankingError = error.message;
+    }
+
+    candidates = results.map((result, index) => {
+      const position = succeeded.indexOf(result);
+      return position === -1
+        ? { index, status: "failed", outcome: result.attempts.at(-1)?.outcome ?? "error" }
+        : { index, status: "succeeded", score: null, ...scores[position], selected: false };
+    });
+
+    const ranked = candidates
+      .filter((candidate) => candidate.status === "succeeded")
+      .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    if (ranked.length) {
+      selected = results[ranked[0].index];
+      candidates[ranked[0].index].selected = true;
+    }
+
+    console.log(`\n🏁 CANDIDATE RANKING (${succeeded.length}/${candidateCount} generated):`);
+    candidates.forEach((candidate) => {
+      console.log(
+        candidate.status === "succeeded"
+          ? `  ${candidate.selected ? "★" : "-"} #${candidate.index}: ` +
+            (candidate.score === null
+              ? "unranked"
+              : `score ${candidate.score} (colour ${candidate.colorSimilarity}, pattern ${candidate.patternSimilarity})`)
+          : `  ✗ #${candidate.index}: ${candidate.outcome}`,
+      );
+    });
+  }
+
+  const { generation, error: modelError } = selected;
+
+  if (!generation) {
+    if (isTransientError(modelError)) {
+      throw new ApiError(
+        503,
+        ErrorCodes.MODEL_UNAVAILABLE,
+        "The image model is temporarily unavailable. Please try again.",
+        { attempts },
+      );
+    }
+    // Every attempt threw something unexpected - log it and report a generic failure
+    const failure = toApiError(modelError, {
+      code: ErrorCodes.GENERATION_FAILED,
+      message: "Failed to generate image.",
+    });
+    failure.details = { attempts };
+    throw failure;
+  }
+
+  const { imageBase64 } = generation;
+
+  if (!imageBase64) {
+    console.log(`❌ ERROR: No image data returned from ${provider.name} after ${attempts.length} attempt(s)`);
+    const upstream = {
+      finishReason: generation.metadata.finishReason,
+      blockReason: generation.metadata.blockReason,
+      safetyRatings: generation.metadata.safetyRatings,
+      attempts,
+    };
+
+    if (isSafetyBlock(generation.metadata)) {
+      throw new ApiError(
+        422,
+        ErrorCodes.MODEL_SAFETY_BLOCK,
+        "The image model declined to generate this image.",
+        upstream,
+      );
+    }
+    throw new ApiError(
+      502,
+      ErrorCodes.MODEL_NO_IMAGE,
+      `No image returned by the ${provider.name} provider.`,
+      upstream,
+    );
+  }
+
+  console.log(`✅ Image data received from ${provider.name}`);
+  console.log(`- Original image size: ${imageBase64.length} base64 characters`);
+
+  /* ================= ENCODING (OUTPUT PROFILE) ================= */
+  await onProgress("encoding");
+
+  let pngBuffer = Buffer.from(imageBase64, "base64");
+
+  let inpainting = null;
+  if (garmentMask) {
+    const composite = await compositeGarment(pngBuffer, secondaryFile.buffer, garmentMask);
+    pngBuffer = composite.buffer;
+    inpainting = {
+      maskSource: garmentMask.source,
+      maskCoverage: parseFloat(garmentMask.coverage.toFixed(4)),
+      aspectRatio: inpaintAspectRatio,
+      width: composite.width,
+      height: composite.height,
+      replacedPixels: composite.replacedPixels,
+    };
+    console.log(
+      `🩹 Inpainting: composited onto model photo (${garmentMask.source} mask, ${(garmentMask.coverage * 100).toFixed(1)}% garment)`,
+    );
+  }
+  console.log(`- PNG buffer size: ${(pngBuffer.length / 1024).toFixed(1)}KB`);
+
+  const encodeProfile = context.framing
+    ? { ...outputProfile, aspectRatio: context.framing.aspectRatio }
+    : outputProfile;
+  const encoded = await encodeToProfile(pngBuffer, encodeProfile);
+  const finalSizeMB = (encoded.sizeBytes / (1024 * 1024)).toFixed(2);
+
+  const warnings = [];
+  if (rankingError) {
+    warnings.push({
+      code: ErrorCodes.CANDIDATE_RANKING_FAILED,
+      message: "Candidates could not be ranked against the reference; the first generated image was returned.",
+      details: { error: rankingError },
+    });
+  }
+  const checkSizeLock = (result, details = {}) => {
+    if (result.withinTarget) return;
+    console.log(`⚠️ ${result.warning}`);
+    warnings.push({
+      code: ErrorCodes.SIZE_LOCK_FAILED,
+      message: result.warning,
+      details: {
+        ...details,
+        sizeMB: parseFloat((result.sizeBytes / (1024 * 1024)).toFixed(2)),
+        width: result.width,
+        quality: result.quality,
+        minSizeMB: outputProfile.minBytes / (1024 * 1024),
+        maxSizeMB: outputProfile.maxBytes / (1024 * 1024),
+      },
+    });
+  };
+  checkSizeLock(encoded);
+
+  warnings.push(...translationWarnings(localization));
+
+  /* ================= DESIGN FIDELITY ================= */
+  // Advisory unless a drift threshold is set: then drifted images get a
+  // FIDELITY_DRIFT warning, or a FIDELITY_REJECTED error with fidelityAction=reject
+  let fidelity;
+  try {
+    fidelity = await analyzeFidelity(file.buffer, encoded.buffer, {
+      maxDrift: fidelityMaxDrift ? parseFloat(fidelityMaxDrift) : null,
+    });
+    console.log(
+      `🎨 Fidelity: score ${fidelity.score}, colour drift ΔE ${fidelity.colorDrift}` +
+        (fidelity.passed === null ? "" : ` (max ${fidelity.maxDrift}, ${fidelity.passed ? "passed" : "DRIFTED"})`),
+    );
+  } catch (error) {
+    // Analysis is advisory - an undecodable reference must not fail the generation
+    console.log(`⚠️ Fidelity analysis skipped: ${error.message}`);
+    fidelity = { error: error.message };
+  }
+
+  if (fidelity.passed === false) {
+    const message = `Output colours drifted from the reference (ΔE ${fidelity.colorDrift}, allowed ${fidelity.maxDrift}).`;
+    if (fidelityAction === "reject") {
+      throw new ApiError(422, ErrorCodes.FIDELITY_REJECTED, message, { fidelity, attempts });
+    }
+    warnings.push({
+      code: ErrorCodes.FIDELITY_DRIFT,
+      message,
+      details: {
+        colorDrift: fidelity.colorDrift,
+        maxDrift: fidelity.maxDrift,
+        hueShift: fidelity.hueShift,
+        saturationShift: fidelity.saturationShift,
+      },
+    });
+  }
+
+  /* ================= DERIVATIVES ================= */
+  const derivativeNames = parseDerivatives(raw.derivatives);
+  const derivatives = derivativeNames.length
+    ? await createDerivatives(pngBuffer, derivativeNames, {
+        aspectRatio: encodeProfile.aspectRatio,
+        garmentMask,
+      })
+    : null;
+
+  /* ================= WATERMARK ================= */
+  // Drawn on the lossless output and encoded with the clean image's profile,
+  // so both land in the same size band
+  let watermarked = null;
+  if (watermark) {
+    try {
+      const overlaid = await applyWatermark(pngBuffer, watermark, {
+        aspectRatio: encodeProfile.aspectRatio,
+      });
+      watermarked = {
+        ...(await encodeToProfile(overlaid.buffer, encodeProfile)),
+        overlayMs: overlaid.durationMs,
+      };
+      checkSizeLock(watermarked, { image: "watermarked" });
+    } catch (error) {
+      // The clean image is still deliverable, so a bad logo only costs the overlay
+      console.log(`⚠️ Watermark skipped: ${error.message}`);
+      warnings.push({
+        code: ErrorCodes.WATERMARK_FAILED,
+        message: "The watermark could not be applied; only the clean image was returned.",
+        details: { error: error.message, logo: watermark.logo?.source ?? null },
+      });
+    }
+  }
+
+  /* ================= FINAL LOG ================= */
+
+  console.log("✅ GENERATION COMPLETED SUCCESSFULLY");
+  console.log(`- Output profile: ${outputProfile.name}`);
+  console.log(`- Final ${encoded.format.toUpperCase()} size: ${finalSizeMB}MB`);
+  console.log(`- Final dimensions: ${encoded.width}x${encoded.height}px`);
+  console.log(`- Final quality: ${encoded.quality ?? "lossless"}`);
+  console.log(`- Encodes: ${encoded.stats.iterations} in ${encoded.stats.durationMs}ms`);
+  console.log("=".repeat(80) + "\n");
+
+  return {
+    imageBase64: encoded.buffer.toString("base64"),
+    mimeType: encoded.mimeType,
+    provider: provider.name,
+    warnings,
+    ...(candidates ? { candidates } : {}),
+    ...(derivatives ? { derivatives: derivatives.items } : {}),
+    ...(watermarked
+      ? {
+          watermarked: {
+            imageBase64: watermarked.buffer.toString("base64"),
+            mimeType: watermarked.mimeType,
+            width: watermarked.width,
+            height: watermarked.height,
+            quality: watermarked.quality,
+            sizeBytes: watermarked.sizeBytes,
+            withinSizeTarget: watermarked.withinTarget,
+          },
+        }
+      : {}),
+    debugInfo: {
+      model: generation.metadata.model,
+      finishReason: generation.metadata.finishReason,
+      attempts,
+      originalSizeKB: Math.round(pngBuffer.length / 1024),
+      outputProfile: outputProfile.name,
+      framing: context.framing && {
+        id: context.framing.id,
+        aspectRatio: context.framing.aspectRatio,
+      },
+      finalSizeMB: parseFloat(finalSizeMB),
+      finalWidth: encoded.width,
+      finalHeight: encoded.height,
+      finalQuality: encoded.quality,
+      withinSizeTarget: encoded.withinTarget,
+      preprocessing,
+      inpainting,
+      preset,
+      persona,
+      localization,
+      encoding: encoded.stats,
+      derivatives: derivatives && { focus: derivatives.focus, durationMs: derivatives.durationMs },
+      watermark: watermark && {
+        position: watermark.position,
+        opacity: watermark.opacity,
+        scale: watermark.scale,
+        logo: watermark.logo?.source ?? null,
+        text: watermark.text || null,
+        sku: watermark.sku || null,
+        applied: !!watermarked,
+        overlayMs: watermarked?.overlayMs ?? null,
+        encoding: watermarked?.stats ?? null,
+      },
+      fidelity,
+      poseClassification: context.poseClassification,
+      garment: {
+        type: context.garment.id,
+        adjustedFlags: context.garment.adjustedFlags,
+      },
+      isPalluSpread: isPalluSpreadPose,
+      isBlouseZoom: isBlouseZoomPose,
+      hasSecondaryImage: !!base64Image2,
+      generationMode: genMode,
+      strictMode: HARD_STRICT_MODE,
+      modelProfile: {
+        ids: modelProfile.ids,
+        label: modelProfile.label,
+        appliedDefaults: modelProfile.appliedDefaults,
+      },
+      modelType: attrPhrases.modelType
+    }
+  };
+};
@@ -0,0 +1,68 @@
+import { getPersonaStore } from "../library/personaStore.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+const isPresent = (value) =>
+  Array.isArray(value)
+    ? value.length > 0
+    : value !== undefined && value !== null && String(value).trim() !== "";
+
+/**
+ * describePersona - the persona's look as one model-type phrase, e.g.
+ * "Indian woman, tall, slim build, wheatish skin tone, oval face".
+ */
+export const describePersona = (persona) =>
+  [
+    persona.ethnicity ? `${persona.ethnicity} woman` : "woman",
+    persona.height,
+    persona.build && `${persona.build} build`,
+    persona.skinTone && `${persona.skinTone} skin tone`,
+    persona.description,
+  ]
+    .filter(isPresent)
+    .join(", ");
+
+/**
+ * applyPersona - fills the model fields of the form body from the persona
+ * named by `body.personaId`: modelType from the persona description, hair /
+ * modelExpression / accessories from its default styling.
+ *
+ * Like presets, fields the request (or its preset) already sets win.
+ * Resolves with the merged body and { id, name, description, hasFaceImage,
+ * appliedFields }, or the body unchanged and `persona: null` when no
+ * personaId was sent.
+ */
+export const applyPersona = async (body = {}) => {
+  if (!body.personaId) return { body, persona: null };
+
+  const persona = await getPersonaStore().get(body.personaId);
+  if (!persona) {
+    throw new ApiError(404, ErrorCodes.PERSONA_NOT_FOUND, `Persona "${body.personaId}" not found.`);
+  }
+
+  const description = describePersona(persona);
+  const fields = {
+    modelType: description,
+    hair: persona.hair,
+    modelExpression: persona.expression,
+    accessories: persona.accessories,
+  };
+
+  const merged = { ...body };
+  const appliedFields = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (!isPresent(value) || isPresent(body[name])) continue;
+    merged[name] = value;
+    appliedFields.push(name);
+  }
+
+  return {
+    body: merged,
+    persona: {
+      id: persona.id,
+      name: persona.name,
+      description,
+      hasFaceImage: !!persona.face,
+      appliedFields,
+    },
+  };
+};
@@ -0,0 +1,37 @@
+import { getPresetStore } from "../library/presetStore.js";
+import { ApiError, ErrorCodes } from "../utils/errors.js";
+
+const isPresent = (value) =>
+  Array.isArray(value)
+    ? value.length > 0
+    : value !== undefined && value !== null && String(value).trim() !== "";
+
+/**
+ * applyPreset - merges the preset named by `body.presetId` into the form body.
+ *
+ * Fields the request sets explicitly win; empty form fields (which most
+ * frontends send for untouched inputs) count as unset and take the preset
+ * value. Resolves with the merged body and { id, name, appliedFields }, or
+ * the body unchanged and `preset: null` when no presetId was sent.
+ */
+export const applyPreset = async (body = {}) => {
+  if (!body.presetId) return { body, preset: null };
+
+  const preset = await getPresetStore().get(body.presetId);
+  if (!preset) {
+    throw new ApiError(404, ErrorCodes.PRESET_NOT_FOUND, `Preset "${body.presetId}" not found.`);
+  }
+
+  const merged = { ...body };
+  const appliedFields = [];
+  for (const [name, value] of Object.entries(preset.fields || {})) {
+    if (isPresent(body[name])) continue;
+    merged[name] = value;
+    appliedFields.push(name);
+  }
+
+  return {
+    body: merged,
+    preset: { id: preset.id, name: preset.name, appliedFields },
+  };
+};
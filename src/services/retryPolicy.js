@@ -0,0 +1,148 @@
+import { softenPrompt } from "../prompt/softenPrompt.js";
+import { nonNegativeIntEnv } from "../config/env.js";
+
+/**
+ * Retry policy for the model call.
+ *
+ * - Transient errors (HTTP 429 / 503, RESOURCE_EXHAUSTED / UNAVAILABLE) are
+ *   retried with exponential backoff, up to GENERATION_MAX_RETRIES times per model.
+ * - A safety / recitation stop (or a blocked prompt) is re-attempted once per
+ *   model with a softened prompt (see prompt/softenPrompt.js).
+ * - If the primary model still produced no image, the fallback model
+ *   (`fallbackModel` field or IMAGE_FALLBACK_MODEL) gets the same treatment.
+ *
+ * Every attempt is recorded so callers can surface it in debugInfo.
+ */
+
+const MAX_RETRIES = nonNegativeIntEnv("GENERATION_MAX_RETRIES", 2);
+const RETRY_BASE_MS = nonNegativeIntEnv("GENERATION_RETRY_BASE_MS", 1000);
+const RETRY_MAX_MS = 16000;
+
+const TRANSIENT_STATUSES = [429, 503];
+const TRANSIENT_PATTERN = /RESOURCE_EXHAUSTED|UNAVAILABLE|overloaded/i;
+
+export const SAFETY_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "PROHIBITED_CONTENT",
+  "IMAGE_SAFETY",
+  "BLOCKLIST",
+  "SPII",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const errorStatus = (error) => error?.status ?? error?.code ?? null;
+
+export const isTransientError = (error) =>
+  TRANSIENT_STATUSES.includes(Number(errorStatus(error))) ||
+  TRANSIENT_PATTERN.test(error?.message || "");
+
+export const isSafetyBlock = (metadata = {}) =>
+  SAFETY_FINISH_REASONS.includes(metadata.finishReason) || !!metadata.blockReason;
+
+const backoffDelay = (retry) =>
+  Math.min(RETRY_BASE_MS * 2 ** retry, RETRY_MAX_MS) +
+  Math.floor(Math.random() * RETRY_BASE_MS * 0.25);
+
+const withSoftenedPrompt = (contents, garmentTerms) =>
+  contents.map((part) =>
+    typeof part.text === "string" ? { ...part, text: softenPrompt(part.text, garmentTerms) } : part,
+  );
+
+/**
+ * generateWithRetry - runs provider.generate under the retry policy.
+ *
+ * Never throws for model failures; resolves with
+ *   { generation, error, attempts }
+ * where `generation` is the last provider result that carried an image (or
+ * the last image-less result), and `error` is the last thrown error when no
+ * attempt returned a result at all. `garmentTerms` (the prompt context's
+ * garment terms) name the garment in the softened prompt.
+ */
+export const generateWithRetry = async ({
+  provider,
+  model,
+  fallbackModel,
+  contents,
+  garmentTerms,
+  options = {},
+}) => {
+  const models = [model, fallbackModel].filter(
+    (name, i, all) => name && all.indexOf(name) === i,
+  );
+  const attempts = [];
+  let lastGeneration = null;
+  let lastError = null;
+
+  for (const currentModel of models) {
+    let retries = 0;
+    let softened = false;
+    let currentContents = contents;
+
+    while (true) {
+      const attempt = {
+        attempt: attempts.length + 1,
+        provider: provider.name,
+        model: currentModel,
+        softenedPrompt: softened,
+      };
+      attempts.push(attempt);
+      const startedAt = Date.now();
+
+      let generation;
+      try {
+        generation = await provider.generate(currentContents, {
+          ...options,
+          model: currentModel,
+        });
+      } catch (error) {
+        attempt.durationMs = Date.now() - startedAt;
+        attempt.outcome = "error";
+        attempt.status = errorStatus(error);
+        attempt.error = error.message;
+        lastError = error;
+
+        if (isTransientError(error) && retries < MAX_RETRIES) {
+          attempt.retryInMs = backoffDelay(retries);
+          console.log(
+            `⏳ Transient error from ${currentModel} (${attempt.status ?? error.message}) - retrying in ${attempt.retryInMs}ms`,
+          );
+          await sleep(attempt.retryInMs);
+          retries++;
+          continue;
+        }
+        break;
+      }
+
+      attempt.durationMs = Date.now() - startedAt;
+      attempt.finishReason = generation.metadata?.finishReason ?? null;
+      lastGeneration = generation;
+      lastError = null;
+
+      if (generation.imageBase64) {
+        attempt.outcome = "success";
+        return { generation, error: null, attempts };
+      }
+
+      if (isSafetyBlock(generation.metadata) && !softened) {
+        attempt.outcome = "safety_block";
+        console.log(
+          `🛡️ ${currentModel} stopped with ${attempt.finishReason || generation.metadata.blockReason} - retrying with softened prompt`,
+        );
+        softened = true;
+        currentContents = withSoftenedPrompt(contents, garmentTerms);
+        continue;
+      }
+
+      attempt.outcome = isSafetyBlock(generation.metadata) ? "safety_block" : "no_image";
+      break;
+    }
+
+    if (models.indexOf(currentModel) < models.length - 1) {
+      console.log(`↪️ Falling back from ${currentModel} to next model`);
+    }
+  }
+
+  return { generation: lastGeneration, error: lastError, attempts };
+};
@@ -0,0 +1,31 @@
+/**
+ * mapWithConcurrency - like Promise.allSettled(items.map(fn)) but runs at most
+ * `limit` calls at a time. Results keep the input order. Rejects a `limit`
+ * that is not a positive integer rather than running no workers at all.
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new TypeError(`mapWithConcurrency: limit must be a positive integer (got ${limit})`);
+  }
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: "fulfilled", value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker,
+  );
+  await Promise.all(workers);
+
+  return results;
+};
@@ -0,0 +1,87 @@
+/**
+ * Machine-readable error codes returned as `code` in every error response.
+ * Clients should branch on these instead of matching the `error` message.
+ */
+export const ErrorCodes = {
+  // Request problems
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  REFERENCE_MISSING: "REFERENCE_MISSING",
+  MODEL_REFERENCE_MISSING: "MODEL_REFERENCE_MISSING",
+  BACK_POSE_NEEDS_SECOND_IMAGE: "BACK_POSE_NEEDS_SECOND_IMAGE",
+  INPAINT_NEEDS_MODEL_REFERENCE: "INPAINT_NEEDS_MODEL_REFERENCE",
+  GARMENT_MASK_EMPTY: "GARMENT_MASK_EMPTY",
+  UNKNOWN_PROVIDER: "UNKNOWN_PROVIDER",
+  INVALID_BATCH: "INVALID_BATCH",
+  INVALID_UPLOAD: "INVALID_UPLOAD",
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_IMAGE: "INVALID_IMAGE",
+  JOB_NOT_FOUND: "JOB_NOT_FOUND",
+  MODEL_REFERENCE_NOT_FOUND: "MODEL_REFERENCE_NOT_FOUND",
+  PRESET_NOT_FOUND: "PRESET_NOT_FOUND",
+  PERSONA_NOT_FOUND: "PERSONA_NOT_FOUND",
+
+  // Model / upstream problems
+  MODEL_NO_IMAGE: "MODEL_NO_IMAGE",
+  MODEL_SAFETY_BLOCK: "MODEL_SAFETY_BLOCK",
+  MODEL_UNAVAILABLE: "MODEL_UNAVAILABLE",
+
+  // Output rejected by post-generation checks
+  FIDELITY_REJECTED: "FIDELITY_REJECTED",
+
+  // Post-processing problems (returned in the success payload's `warnings`)
+  SIZE_LOCK_FAILED: "SIZE_LOCK_FAILED",
+  FIDELITY_DRIFT: "FIDELITY_DRIFT",
+  TRANSLATION_FAILED: "TRANSLATION_FAILED",
+  CANDIDATE_RANKING_FAILED: "CANDIDATE_RANKING_FAILED",
+  WATERMARK_FAILED: "WATERMARK_FAILED",
+
+  // Anything unexpected
+  GENERATION_FAILED: "GENERATION_FAILED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+/**
+ * ApiError - an expected failure with the HTTP status and error code it maps
+ * to. `details` carries structured context (e.g. the upstream finishReason
+ * and safety ratings, or the retry attempts) and is returned as-is.
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Wraps anything that is not already an ApiError into a 500 with the given
+ * code and message, logging the original error since it is unexpected.
+ */
+export const toApiError = (
+  error,
+  { code = ErrorCodes.INTERNAL_ERROR, message = "Internal server error." } = {},
+) => {
+  if (error instanceof ApiError) return error;
+
+  console.log("\n" + "=".repeat(80));
+  console.log("❌ UNEXPECTED ERROR");
+  console.log("=".repeat(80));
+  console.log("Error details:", error);
+  console.log("Error message:", error?.message);
+  console.log("Error stack:", error?.stack);
+  console.log("=".repeat(80) + "\n");
+
+  return new ApiError(500, code, message);
+};
+
+/**
+ * The JSON body for an ApiError. `error` keeps the human-readable message
+ * older clients already display.
+ */
+export const serializeError = (error) => ({
+  error: error.message,
+  code: error.code,
+  ...(error.details ? { details: error.details } : {}),
+});
@@ -0,0 +1,140 @@
+import { ASPECT_RATIOS, listProviders } from "../providers/index.js";
+import { OUTPUT_PROFILE_NAMES } from "../encoding/profiles.js";
+import { DERIVATIVE_NAMES } from "../encoding/derivatives.js";
+import { GENERATION_MODES, POSES } from "../catalog/options.js";
+import { NOTES_LANGUAGES } from "../localization/index.js";
+import { GARMENT_TYPES } from "../catalog/garments.js";
+import { FRAMING_IDS } from "../catalog/framing.js";
+import { WATERMARK_POSITIONS } from "../encoding/watermark.js";
+
+const MB = 1024 * 1024;
+
+export const REFERENCE_IMAGE_MIMETYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/heic",
+  "image/heif",
+];
+
+// Best-of-N generation: each candidate is a full model call
+export const MAX_CANDIDATES = 4;
+
+const choice = { type: "string", maxLength: 200 };
+const note = { type: "string", maxLength: 500 };
+const modelName = {
+  type: "string",
+  maxLength: 100,
+  pattern: /^[\w.\-/]+$/,
+  patternMessage: "may only contain letters, digits, '.', '-', '_' and '/'",
+};
+const derivativeName = `(?:all|${DERIVATIVE_NAMES.join("|")})`;
+const fraction = {
+  type: "string",
+  pattern: /^(0?\.\d{1,3}|1(\.0{1,3})?)$/,
+  patternMessage: "must be a fraction between 0 and 1, such as 0.35",
+};
+
+const referenceImage = {
+  mimetypes: REFERENCE_IMAGE_MIMETYPES,
+  maxBytes: 15 * MB,
+};
+
+/**
+ * Multipart body accepted by /generate-image (and its preview / batch
+ * variants). Presence of the reference images is checked by the generation
+ * service itself, since it depends on the mode and pose.
+ */
+export const generateFormSchema = {
+  fields: {
+    generationMode: { type: "string", enum: GENERATION_MODES },
+    presetId: {
+      type: "string",
+      maxLength: 64,
+      pattern: /^[\w-]+$/,
+      patternMessage: "must be a preset id",
+    },
+    modelReferenceId: {
+      type: "string",
+      maxLength: 64,
+      pattern: /^[\w-]+$/,
+      patternMessage: "must be a model reference id",
+    },
+    personaId: {
+      type: "string",
+      maxLength: 64,
+      pattern: /^[\w-]+$/,
+      patternMessage: "must be a persona id",
+    },
+    garmentType: { type: "string", enum: GARMENT_TYPES },
+    poseId: { type: "string", enum: POSES.map((option) => option.id) },
+    pose: choice,
+    poseNote: note,
+    location: choice,
+    locationNote: note,
+    accessories: choice,
+    accessoriesNote: note,
+    modelType: choice,
+    modelTypeNote: note,
+    modelExpression: { type: ["string", "array"], maxItems: 6, maxLength: 100 },
+    modelExpressionNote: note,
+    hair: choice,
+    hairNote: note,
+    otherOption: choice,
+    otherOptionNote: note,
+    otherDetails: { type: "string", maxLength: 1000 },
+    notesLanguage: { type: "string", enum: NOTES_LANGUAGES },
+    provider: { type: "string", enum: listProviders() },
+    model: modelName,
+    fallbackModel: modelName,
+    outputProfile: { type: "string", enum: OUTPUT_PROFILE_NAMES },
+    framing: { type: "string", enum: FRAMING_IDS },
+    aspectRatio: { type: "string", enum: ASPECT_RATIOS },
+    // "all", or derivative names as a comma-separated list / repeated fields
+    derivatives: {
+      type: ["string", "array"],
+      maxItems: DERIVATIVE_NAMES.length + 1,
+      pattern: new RegExp(`^${derivativeName}(?:\\s*,\\s*${derivativeName})*$`),
+      patternMessage: `must be "all" or a comma-separated list of ${DERIVATIVE_NAMES.join(", ")}`,
+    },
+    watermark: { type: "string", enum: ["true", "false"] },
+    watermarkText: { type: "string", maxLength: 100 },
+    watermarkPosition: { type: "string", enum: WATERMARK_POSITIONS },
+    watermarkOpacity: fraction,
+    watermarkScale: fraction,
+    sku: { type: "string", maxLength: 64 },
+    candidates: {
+      type: "string",
+      enum: Array.from({ length: MAX_CANDIDATES }, (_, i) => String(i + 1)),
+    },
+    inpaint: { type: "string", enum: ["true", "false"] },
+    autoCropReference: { type: "string", enum: ["true", "false"] },
+    fidelityMaxDrift: {
+      type: "string",
+      pattern: /^\d{1,3}(\.\d+)?$/,
+      patternMessage: "must be a colour distance (ΔE) such as 12 or 7.5",
+    },
+    fidelityAction: { type: "string", enum: ["flag", "reject"] },
+    async: { type: "string", enum: ["true", "false"] },
+  },
+  files: {
+    referenceImage,
+    referenceImage2: referenceImage,
+    garmentMask: {
+      mimetypes: ["image/png", "image/jpeg", "image/webp"],
+      maxBytes: 15 * MB,
+    },
+    watermarkLogo: {
+      mimetypes: ["image/png", "image/jpeg", "image/webp", "image/svg+xml"],
+      maxBytes: 5 * MB,
+    },
+  },
+};
+
+export const batchFormSchema = {
+  fields: {
+    ...generateFormSchema.fields,
+    items: { type: "string", json: true, jsonType: "array" },
+  },
+  files: generateFormSchema.files,
+};
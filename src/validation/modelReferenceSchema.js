@@ -0,0 +1,23 @@
+import { REFERENCE_IMAGE_MIMETYPES } from "./generateSchema.js";
+
+const MB = 1024 * 1024;
+
+const name = { type: "string", maxLength: 100 };
+// Repeated fields / JSON arrays, or one comma-separated string
+const tags = { type: ["string", "array"], maxItems: 20, maxLength: 200 };
+
+/** Multipart body of POST /model-references (`image` presence is checked by the controller). */
+export const modelReferenceUploadSchema = {
+  fields: { name, tags },
+  files: {
+    image: {
+      mimetypes: REFERENCE_IMAGE_MIMETYPES,
+      maxBytes: 15 * MB,
+    },
+  },
+};
+
+/** JSON body of PATCH /model-references/:id. */
+export const modelReferenceUpdateSchema = {
+  fields: { name, tags },
+};
@@ -0,0 +1,54 @@
+import { REFERENCE_IMAGE_MIMETYPES } from "./generateSchema.js";
+
+const MB = 1024 * 1024;
+
+const trait = { type: "string", maxLength: 100 };
+const styling = { type: "string", maxLength: 200 };
+
+/**
+ * Descriptive persona fields. ethnicity / build / height / skinTone describe
+ * the model herself; hair / expression / accessories are the styling used
+ * when a generation request leaves those fields unset.
+ */
+export const PERSONA_FIELDS = [
+  "name",
+  "ethnicity",
+  "build",
+  "height",
+  "skinTone",
+  "hair",
+  "expression",
+  "accessories",
+  "description",
+];
+
+const fields = {
+  name: trait,
+  ethnicity: trait,
+  build: trait,
+  height: trait,
+  skinTone: trait,
+  hair: styling,
+  expression: styling,
+  accessories: styling,
+  description: { type: "string", maxLength: 500 },
+};
+
+const faceImage = {
+  mimetypes: REFERENCE_IMAGE_MIMETYPES,
+  maxBytes: 15 * MB,
+};
+
+/** Multipart body of POST /personas (`name` presence is checked by the controller). */
+export const personaCreateSchema = {
+  fields,
+  files: { faceImage },
+};
+
+/** JSON body of PATCH /personas/:id. */
+export const personaUpdateSchema = { fields };
+
+/** Multipart body of PUT /personas/:id/face. */
+export const personaFaceSchema = {
+  files: { faceImage },
+};
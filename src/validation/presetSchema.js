@@ -0,0 +1,58 @@
+import { generateFormSchema } from "./generateSchema.js";
+
+/**
+ * Form fields a preset may carry: the attribute set generateImage reads,
+ * plus generationMode and the output settings (outputProfile, framing,
+ * derivatives, watermark). Values are validated with the same rules as
+ * /generate-image; a watermark logo is an upload, so presets carry only its
+ * text settings (or rely on WATERMARK_LOGO).
+ */
+export const PRESET_FIELDS = [
+  "generationMode",
+  "garmentType",
+  "personaId",
+  "poseId",
+  "pose",
+  "poseNote",
+  "location",
+  "locationNote",
+  "accessories",
+  "accessoriesNote",
+  "modelType",
+  "modelTypeNote",
+  "modelExpression",
+  "modelExpressionNote",
+  "hair",
+  "hairNote",
+  "otherOption",
+  "otherOptionNote",
+  "otherDetails",
+  "notesLanguage",
+  "outputProfile",
+  "framing",
+  "aspectRatio",
+  "derivatives",
+  "watermark",
+  "watermarkText",
+  "watermarkPosition",
+  "watermarkOpacity",
+  "watermarkScale",
+  "sku",
+];
+
+export const presetFieldsSchema = {
+  fields: Object.fromEntries(
+    PRESET_FIELDS.map((name) => [name, generateFormSchema.fields[name]]),
+  ),
+};
+
+/**
+ * JSON body of POST /presets and PATCH /presets/:id, besides `fields`
+ * (checked against presetFieldsSchema).
+ */
+export const presetSchema = {
+  fields: {
+    name: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 500 },
+  },
+};
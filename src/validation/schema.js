@@ -0,0 +1,121 @@
+/**
+ * Tiny declarative validator for multipart form bodies.
+ *
+ * Field rules:
+ *   type       "string" | "array" | ["string", "array"]  (multer gives strings,
+ *              or arrays when a field is repeated)
+ *   enum       allowed values (each array item for arrays)
+ *   maxLength  max characters per string / array item
+ *   maxItems   max array length
+ *   pattern    RegExp each string must match
+ *   json       value must be a JSON string (parsed before checking `jsonType`)
+ *   jsonType   "array" | "object" for parsed JSON values
+ *
+ * File rules (per multer field name):
+ *   mimetypes  allowed mimetypes
+ *   maxBytes   max upload size
+ *
+ * validate() returns every problem as { field, message } rather than stopping
+ * at the first, so clients can show them all at once.
+ */
+
+const typeOf = (value) => (Array.isArray(value) ? "array" : typeof value);
+
+const checkString = (field, value, rule, problems) => {
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push({
+      field,
+      message: `must be one of ${rule.enum.join(", ")} (got "${value}")`,
+    });
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    problems.push({
+      field,
+      message: `must be at most ${rule.maxLength} characters (got ${value.length})`,
+    });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    problems.push({ field, message: rule.patternMessage || "has an invalid format" });
+  }
+};
+
+const checkField = (field, value, rule, problems) => {
+  const allowed = [].concat(rule.type || "string");
+  const actual = typeOf(value);
+
+  if (!allowed.includes(actual)) {
+    problems.push({ field, message: `must be ${allowed.join(" or ")} (got ${actual})` });
+    return;
+  }
+
+  if (rule.json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      problems.push({ field, message: "must be valid JSON" });
+      return;
+    }
+    if (rule.jsonType && typeOf(parsed) !== rule.jsonType) {
+      problems.push({ field, message: `must be a JSON ${rule.jsonType}` });
+    }
+    return;
+  }
+
+  if (actual === "array") {
+    if (rule.maxItems && value.length > rule.maxItems) {
+      problems.push({
+        field,
+        message: `must have at most ${rule.maxItems} items (got ${value.length})`,
+      });
+    }
+    value.forEach((item, i) => {
+      if (typeof item !== "string") {
+        problems.push({ field: `${field}[${i}]`, message: "must be a string" });
+      } else {
+        checkString(`${field}[${i}]`, item, rule, problems);
+      }
+    });
+    return;
+  }
+
+  checkString(field, value, rule, problems);
+};
+
+const checkFile = (field, file, rule, problems) => {
+  if (rule.mimetypes && !rule.mimetypes.includes(file.mimetype)) {
+    problems.push({
+      field,
+      message: `must be one of ${rule.mimetypes.join(", ")} (got ${file.mimetype || "unknown"})`,
+    });
+  }
+  if (rule.maxBytes && file.size > rule.maxBytes) {
+    problems.push({
+      field,
+      message: `must be at most ${(rule.maxBytes / (1024 * 1024)).toFixed(0)}MB (got ${(file.size / (1024 * 1024)).toFixed(1)}MB)`,
+    });
+  }
+};
+
+/**
+ * Validates `body` and multer `files` against a schema of
+ * { fields: { name: rule }, files: { name: rule } }. Fields not listed in the
+ * schema are ignored. `prefix` namespaces reported field names (e.g. "items[2].").
+ */
+export const validate = (schema, { body = {}, files = {} } = {}, prefix = "") => {
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(schema.fields || {})) {
+    const value = body[name];
+    if (value === undefined || value === null || value === "") continue;
+    checkField(prefix + name, value, rule, problems);
+  }
+
+  for (const [name, rule] of Object.entries(schema.files || {})) {
+    for (const file of files[name] || []) {
+      checkFile(prefix + name, file, rule, problems);
+    }
+  }
+
+  return problems;
+};
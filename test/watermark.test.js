@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import sharp from "sharp";
+import { generateFromForm } from "../src/services/generationService.js";
+import { resolveOutputProfile } from "../src/encoding/profiles.js";
+
+// A patterned garment photo, so the encoder has real detail to size against
+const referenceUpload = async () => {
+  const width = 600;
+  const height = 900;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = (Math.sin(i / 53) * 70 + 128 + ((i * 7919) % 31)) | 0;
+  }
+  const buffer = await sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+  return { fieldname: "referenceImage", originalname: "ref.jpg", mimetype: "image/jpeg", size: buffer.length, buffer };
+};
+
+const generate = async (fields) =>
+  generateFromForm({
+    files: { referenceImage: [await referenceUpload()] },
+    body: { provider: "mock", watermark: "true", watermarkText: "Brand Co", sku: "SKU-1", ...fields },
+  });
+
+const assertWithinProfile = async (payload, profile) => {
+  const { watermarked } = payload;
+  const buffer = Buffer.from(watermarked.imageBase64, "base64");
+  const metadata = await sharp(buffer).metadata();
+
+  assert.equal(watermarked.mimeType, payload.mimeType);
+  assert.equal(watermarked.sizeBytes, buffer.length);
+  assert.equal(metadata.width, watermarked.width);
+  assert.equal(metadata.height, watermarked.height);
+  assert.ok(watermarked.withinSizeTarget);
+  assert.ok(buffer.length >= profile.minBytes && buffer.length <= profile.maxBytes, `${buffer.length} bytes`);
+  assert.ok(metadata.width >= profile.minWidth && metadata.width <= profile.maxWidth, `${metadata.width}px`);
+  assert.notEqual(watermarked.imageBase64, payload.imageBase64);
+  return metadata;
+};
+
+test("watermarked output is encoded into the output profile's size and width band", async () => {
+  const profile = resolveOutputProfile("whatsapp");
+  const payload = await generate({ outputProfile: "whatsapp" });
+
+  const metadata = await assertWithinProfile(payload, profile);
+  assert.equal(metadata.format, "jpeg");
+  assert.equal(payload.debugInfo.watermark.applied, true);
+  assert.deepEqual(
+    payload.warnings.filter((warning) => warning.code === "SIZE_LOCK_FAILED"),
+    [],
+  );
+});
+
+test("watermarked output follows the framing crop of the clean image", async () => {
+  const profile = resolveOutputProfile("whatsapp");
+  const payload = await generate({ outputProfile: "whatsapp", framing: "square" });
+
+  const metadata = await assertWithinProfile(payload, profile);
+  assert.equal(metadata.width, metadata.height);
+  assert.equal(metadata.width, payload.debugInfo.finalWidth);
+});